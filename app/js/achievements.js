@@ -1,6 +1,8 @@
 skidinc.achievements = {};
 skidinc.achievements.categories = [];
+skidinc.achievements.categoryInfo = {};
 skidinc.achievements.owned = [];
+skidinc.achievements.dates = [];
 skidinc.achievements.ach = [];
 
 skidinc.achievements.getOwnedAmount = function() {
@@ -14,6 +16,24 @@ skidinc.achievements.getOwnedAmount = function() {
     return owned;
 };
 
+// secret achievements are shown as ??? until they are owned.
+skidinc.achievements.reveal = function(achievement, i) {
+    if (!achievement.secret || skidinc.achievements.owned[i])
+        return achievement;
+    
+    return {
+        id: achievement.id,
+        name: '???',
+        desc: '???',
+        category: achievement.category,
+        icon: 'fa-question',
+        reward: null,
+        secret: true,
+        on: achievement.on,
+        when: null
+    };
+};
+
 skidinc.achievements.getLast = function() {
     var list = [];
     
@@ -25,7 +45,7 @@ skidinc.achievements.getLast = function() {
                 owned = skidinc.achievements.owned[i];
             
             if (!owned && achievement.category == category) {
-                list.push(achievement);
+                list.push(skidinc.achievements.reveal(achievement, i));
                 i = skidinc.achievements.ach.length;
             };
         };
@@ -34,81 +54,319 @@ skidinc.achievements.getLast = function() {
     return list;
 };
 
-skidinc.achievements.create = function(name, desc, category, icon, varCheck, typeCheck, amount) {
-    this.name = name;
-    this.desc = desc;
-    this.category = category;
-    this.icon = icon;
-    this.varCheck = varCheck;
-    this.typeCheck = typeCheck;
-    this.amount = amount;
+// rewards of owned achievements add up: money, exp and time multipliers (+value),
+// battery capacity (+value seconds) and themes (value is the theme name).
+skidinc.achievements.rewards = {
+    money: 'money mult.',
+    exp: 'exp mult.',
+    time: 'time mult.',
+    capacity: 'battery capacity',
+    theme: 'theme'
 };
 
-skidinc.achievements.init = function() {
-    skidinc.achievements.ach = [
-        new skidinc.achievements.create('Kiddie I', 'Execute 10 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 10),
-        new skidinc.achievements.create('Kiddie II', 'Execute 50 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 50),
-        new skidinc.achievements.create('Kiddie III', 'Execute 250 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 250),
-        new skidinc.achievements.create('Kiddie IV', 'Execute 1,000 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 1000),
-        new skidinc.achievements.create('Kiddie V', 'Execute 2,500 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 2500),
-        new skidinc.achievements.create('Hacker I', 'Execute 10,000 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 10000),
-        new skidinc.achievements.create('Hacker II', 'Execute 75,000 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 75000),
-        new skidinc.achievements.create('Hacker III', 'Execute 500,000 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 500000),
-        new skidinc.achievements.create('Hacker IV', 'Execute 2,500,000 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 2500000),
-        new skidinc.achievements.create('Hacker V', 'Execute 10,000,000 scripts.', 'scriptsExecuted', 'fa-list-alt', 'skidinc.script.totalCompleted', '>=', 10000000),
-        
-        new skidinc.achievements.create('Experienced I', 'Reach level 5.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 5),
-        new skidinc.achievements.create('Experienced II', 'Reach level 10.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 10),
-        new skidinc.achievements.create('Experienced III', 'Reach level 25.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 25),
-        new skidinc.achievements.create('The Answer', 'Reach level 42.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 42),
-        new skidinc.achievements.create('Mentor I', 'Reach level 50.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 50),
-        new skidinc.achievements.create('Mentor II', 'Reach level 60.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 60),
-        new skidinc.achievements.create('Mentor III', 'Reach level 70.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 70),
-        new skidinc.achievements.create('Mentor IV', 'Reach level 80.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 80),
-        new skidinc.achievements.create('Mentor V', 'Reach level 90.', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 90),
-        new skidinc.achievements.create('Maximam Solis', 'Reach level 100 (max level).', 'levelReached', 'fa-star', 'skidinc.player.level', '>=', 100),
-        
-        new skidinc.achievements.create('Earner I', 'Earn a total of $15,000.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 15000),
-        new skidinc.achievements.create('Earner II', 'Earn a total of $500,000.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 500000),
-        new skidinc.achievements.create('Earner III', 'Earn a total of $1,000,000.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 1000000),
-        new skidinc.achievements.create('Earner VI', 'Earn a total of $50,000,000.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 50000000),
-        new skidinc.achievements.create('Earner V', 'Earn a total of $750,000,000.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 750000000),
-        new skidinc.achievements.create('Banker I', 'Earn a total of $10.000b.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 10000000000),
-        new skidinc.achievements.create('Banker II', 'Earn a total of $100.000b.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 100000000000),
-        new skidinc.achievements.create('Banker III', 'Earn a total of $1.000t.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 1000000000000),
-        new skidinc.achievements.create('Banker IV', 'Earn a total of $100.000t.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 100000000000000),
-        new skidinc.achievements.create('Banker V', 'Earn a total of $10.000q.', 'totalMoney', 'fa-money', 'skidinc.player.totalMoney', '>=', 10000000000000000),
-        
-        new skidinc.achievements.create('Webmaster I', 'Upgrade your web server to level 1.', 'webLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("web")]', '>=', 1),
-        new skidinc.achievements.create('Webmaster II', 'Upgrade your web server to level 25.', 'webLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("web")]', '>=', 25),
-        new skidinc.achievements.create('Webmaster III', 'Upgrade your web server to level 50.', 'webLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("web")]', '>=', 50),
-        new skidinc.achievements.create('Webmaster IV', 'Upgrade your web server to level 100.', 'webLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("web")]', '>=', 100),
-        new skidinc.achievements.create('Webmaster V', 'Upgrade your web server to level 200.', 'webLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("web")]', '>=', 200),
-        
-        new skidinc.achievements.create('Virtualization I', 'Upgrade your telnet server to level 1.', 'telnetLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("telnet")]', '>=', 1),
-        new skidinc.achievements.create('Virtualization II', 'Upgrade your telnet server to level 25.', 'telnetLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("telnet")]', '>=', 25),
-        new skidinc.achievements.create('Virtualization III', 'Upgrade your telnet server to level 50.', 'telnetLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("telnet")]', '>=', 50),
-        new skidinc.achievements.create('Virtualization IV', 'Upgrade your telnet server to level 75.', 'telnetLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("telnet")]', '>=', 75),
-        new skidinc.achievements.create('Virtualization V', 'Upgrade your telnet server to level 100 (max level).', 'telnetLevel', 'fa-server', 'skidinc.server.owned[skidinc.server.servers.indexOf("telnet")]', '>=', 100),
-        
-        new skidinc.achievements.create('Charge I', 'Upgrade your battery to level 5.', 'batteryLevel', 'fa-battery-full', 'skidinc.battery.level', '>=', 5),
-        new skidinc.achievements.create('Charge II', 'Upgrade your battery to level 10.', 'batteryLevel', 'fa-battery-full', 'skidinc.battery.level', '>=', 10),
-        new skidinc.achievements.create('Charge III', 'Upgrade your battery to level 25.', 'batteryLevel', 'fa-battery-full', 'skidinc.battery.level', '>=', 25),
-        new skidinc.achievements.create('Charge IV', 'Upgrade your battery to level 50.', 'batteryLevel', 'fa-battery-full', 'skidinc.battery.level', '>=', 50),
-        new skidinc.achievements.create('Charge V', 'Upgrade your battery to level 75.', 'batteryLevel', 'fa-battery-full', 'skidinc.battery.level', '>=', 75)
-    ];
+// comparators of the achievement conditions, c is the value compared to the
+// expected one (-1, 0 or 1, NaN when they can't be ordered).
+skidinc.achievements.ops = {
+    '==': function(c) { return c === 0; },
+    '!=': function(c) { return c !== 0; },
+    '>': function(c) { return c > 0; },
+    '>=': function(c) { return c >= 0; },
+    '<': function(c) { return c < 0; },
+    '<=': function(c) { return c <= 0; }
+};
+
+// owned is saved by position: keep the file order and add new achievements at
+// the end. when is a condition { path, op, value } read from skidinc, or a
+// compound { all: [] }, { any: [] }, { not: {} }. achievements with an on event
+// are only checked when it is emitted, their paths can read its data as event.*.
+// clock.hours and clock.minutes read the local time. secret ones stay hidden.
+skidinc.achievements.setAchievements = function(data) {
+    var achievements = data && data.achievements ? data.achievements : data;
+    
+    if (!Array.isArray(achievements)) {
+        console.warn('skidinc.achievements: no achievement definitions found');
+        achievements = [];
+    };
+    
+    skidinc.achievements.categoryInfo = (data && data.categories) || {};
+    
+    skidinc.achievements.ach = achievements.map(function(achievement, index) {
+        var error = skidinc.achievements.getConditionError(achievement.when);
+        
+        if (error !== null)
+            console.warn('skidinc.achievements:', achievement.id || index, error);
+        if (achievement.on && skidinc.events.types.indexOf(achievement.on) == -1)
+            console.warn('skidinc.achievements:', achievement.id || index, 'listens to unknown event', achievement.on);
+        if (achievement.reward && typeof skidinc.achievements.rewards[achievement.reward.kind] == 'undefined')
+            console.warn('skidinc.achievements:', achievement.id || index, 'has an unknown reward', achievement.reward.kind);
+        
+        return {
+            id: achievement.id,
+            name: achievement.name,
+            desc: achievement.desc,
+            category: achievement.category,
+            icon: achievement.icon,
+            reward: achievement.reward && skidinc.achievements.rewards[achievement.reward.kind] ? achievement.reward : null,
+            secret: !!achievement.secret,
+            on: achievement.on || null,
+            when: error === null ? achievement.when : null
+        };
+    });
+};
+
+skidinc.achievements.load = function(callback) {
+    $.getJSON('app/data/achievements.json')
+        .done(function(data) {
+            skidinc.achievements.setAchievements(data);
+            
+            if (typeof callback === 'function')
+                callback();
+        })
+        .fail(function() {
+            skidinc.achievements.setAchievements(null);
+            
+            if (typeof callback === 'function')
+                callback();
+        });
+};
+
+skidinc.achievements.getConditionError = function(condition) {
+    if (!condition || typeof condition !== 'object')
+        return 'has no condition';
+    
+    var list = condition.all || condition.any;
+    
+    if (list) {
+        for (var i = 0; i < list.length; i++) {
+            var error = skidinc.achievements.getConditionError(list[i]);
+            
+            if (error !== null)
+                return error;
+        };
+        
+        return null;
+    };
+    
+    if (condition.not)
+        return skidinc.achievements.getConditionError(condition.not);
+    if (typeof condition.path !== 'string')
+        return 'has a condition without path';
+    if (typeof skidinc.achievements.ops[condition.op] == 'undefined')
+        return 'has an unknown comparator ' + condition.op;
+    
+    return null;
+};
+
+// own properties only, a path can't reach prototypes or call anything.
+skidinc.achievements.getValue = function(path, event) {
+    var parts = path.split('.'),
+        value = skidinc;
+    
+    if (parts[0] == 'event') {
+        value = event;
+        parts.shift();
+    };
+    
+    if (parts[0] == 'clock') {
+        value = {
+            hours: new Date().getHours(),
+            minutes: new Date().getMinutes()
+        };
+        parts.shift();
+    };
+    
+    for (var i = 0; i < parts.length; i++) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, parts[i]))
+            return undefined;
+        
+        value = value[parts[i]];
+    };
+    
+    return value;
+};
+
+skidinc.achievements.compare = function(value, expected) {
+    if (value instanceof BigNum)
+        return value.cmp(BigNum.from(expected));
+    if (typeof value == 'number' && typeof expected == 'number')
+        return value < expected ? -1 : (value > expected ? 1 : 0);
+    
+    return value === expected ? 0 : NaN;
+};
+
+skidinc.achievements.test = function(condition, event) {
+    if (condition.all)
+        return condition.all.every(function(c) {
+            return skidinc.achievements.test(c, event);
+        });
+    
+    if (condition.any)
+        return condition.any.some(function(c) {
+            return skidinc.achievements.test(c, event);
+        });
+    
+    if (condition.not)
+        return !skidinc.achievements.test(condition.not, event);
+    
+    var value = skidinc.achievements.getValue(condition.path, event);
+    
+    if (typeof value == 'undefined')
+        return false;
+    
+    return skidinc.achievements.ops[condition.op](skidinc.achievements.compare(value, condition.value));
+};
+
+skidinc.achievements.check = function(i, event) {
+    var achievement = skidinc.achievements.ach[i];
+    
+    if (skidinc.achievements.owned[i] || achievement.when === null || !skidinc.achievements.test(achievement.when, event))
+        return;
+    
+    skidinc.achievements.owned[i] = true;
+    skidinc.achievements.dates[i] = new Date().getTime();
+    
+    skidinc.events.emit('achievement:unlocked', {
+        achievement: achievement,
+        index: i,
+        date: skidinc.achievements.dates[i]
+    });
+};
+
+skidinc.achievements.getBonus = function(kind) {
+    var bonus = 0;
     
     for (var i = 0; i < skidinc.achievements.ach.length; i++) {
-        var achievement = skidinc.achievements.ach[i];
+        var reward = skidinc.achievements.ach[i].reward;
+        
+        if (skidinc.achievements.owned[i] && reward !== null && reward.kind == kind)
+            bonus += reward.value;
+    };
+    
+    return bonus;
+};
+
+skidinc.achievements.getMult = function(kind) {
+    return 1 + skidinc.achievements.getBonus(kind);
+};
+
+skidinc.achievements.getThemes = function() {
+    return skidinc.achievements.ach.filter(function(achievement, i) {
+        return skidinc.achievements.owned[i] && achievement.reward !== null && achievement.reward.kind == 'theme';
+    }).map(function(achievement) {
+        return achievement.reward.value;
+    });
+};
+
+skidinc.achievements.getRewardStr = function(reward) {
+    if (reward.kind == 'theme')
+        return reward.value + ' ' + skidinc.achievements.rewards.theme;
+    if (reward.kind == 'capacity')
+        return '+' + reward.value + 's ' + skidinc.achievements.rewards.capacity;
+    
+    return '+' + Math.round(reward.value * 100) + '% ' + skidinc.achievements.rewards[reward.kind];
+};
+
+skidinc.achievements.getTooltip = function(achievement) {
+    if (achievement.reward === null)
+        return achievement.desc;
+    
+    return achievement.desc + ' Reward: ' + skidinc.achievements.getRewardStr(achievement.reward);
+};
+
+skidinc.achievements.getCategoryName = function(category) {
+    var info = skidinc.achievements.categoryInfo[category];
+    
+    return info && info.name ? info.name : category;
+};
+
+// progress read from the condition itself: value and goal of a >= or >
+// comparison, conditions met for all/any. null when it can't be measured
+// (event triggered achievements, other comparators).
+skidinc.achievements.getProgress = function(achievement) {
+    if (achievement.on || achievement.when === null)
+        return null;
+    
+    return skidinc.achievements.getConditionProgress(achievement.when);
+};
+
+skidinc.achievements.getConditionProgress = function(condition) {
+    var list = condition.all || condition.any;
+    
+    if (list) {
+        var met = list.filter(function(c) {
+            return skidinc.achievements.test(c);
+        }).length;
         
+        return {
+            current: BigNum.from(condition.all ? met : Math.min(1, met)),
+            goal: BigNum.from(condition.all ? list.length : 1)
+        };
+    };
+    
+    if (condition.op !== '>=' && condition.op !== '>')
+        return null;
+    
+    var value = skidinc.achievements.getValue(condition.path);
+    
+    if (!(value instanceof BigNum) && typeof value !== 'number')
+        return null;
+    
+    return {
+        current: BigNum.from(value),
+        goal: BigNum.from(condition.value)
+    };
+};
+
+skidinc.achievements.getProgressStr = function(achievement) {
+    var progress = skidinc.achievements.getProgress(achievement);
+    
+    if (progress === null)
+        return null;
+    
+    var info = skidinc.achievements.categoryInfo[achievement.category] || {},
+        current = BigNum.min(progress.current, progress.goal),
+        percent = progress.goal.lte(0) ? 100 : Math.floor(current.div(progress.goal).toNumber() * 100);
+    
+    if (info.unit == '$')
+        return '$' + fix(current, 0) + '/$' + fix(progress.goal, 0) + ' (' + percent + '%)';
+    
+    return fix(current, 0) + '/' + fix(progress.goal, 0) + (info.unit ? ' ' + info.unit : '') + ' (' + percent + '%)';
+};
+
+// state of an achievement for the full list: unlock date when owned, progress otherwise.
+skidinc.achievements.getStateStr = function(i) {
+    var achievement = skidinc.achievements.reveal(skidinc.achievements.ach[i], i);
+    
+    if (skidinc.achievements.owned[i])
+        return 'earned ' + skidinc.prestige.formatDate(skidinc.achievements.dates[i]);
+    
+    return skidinc.achievements.getProgressStr(achievement) || 'not earned yet';
+};
+
+skidinc.achievements.init = function() {
+    skidinc.achievements.ach.forEach(function(achievement, i) {
         skidinc.achievements.owned.push(false);
+        skidinc.achievements.dates.push(null);
         
         if (skidinc.achievements.categories.indexOf(achievement.category) == -1)
             skidinc.achievements.categories.push(achievement.category);
-    };
+        
+        if (achievement.on)
+            skidinc.events.on(achievement.on, function(data) {
+                skidinc.achievements.check(i, data);
+            });
+    });
     
+    skidinc.achievements.startLoop();
+};
+
+skidinc.achievements.startLoop = function() {
     skidinc.loops.achievements = setInterval(function() {
         skidinc.achievements.loop();
+        
+        // live progress while the achievements modal is open.
+        if ($('#modal-achievements').hasClass('show'))
+            skidinc.achievements.renderAll();
     }, 1000);
 };
 
@@ -116,16 +374,81 @@ skidinc.achievements.list = function() {
     var str = '',
         achievements = skidinc.achievements.getLast(),
         owned = skidinc.achievements.getOwnedAmount(),
-        max = skidinc.achievements.ach.length;
+        max = skidinc.achievements.ach.length,
+        bonus = [];
     
     str += '<y>ACHIEVEMENTS</y> ' + owned + '/' + max + ' completed:<br>';
     
     for (var i = 0; i < achievements.length; i++) {
-        var ach = achievements[i];
+        var ach = achievements[i],
+            progress = skidinc.achievements.getProgressStr(ach);
         
-        str += '<b>*</b> <z>' + ach.name + '</z>: ' + ach.desc + '<br>';
+        str += '<b>*</b> <z>' + ach.name + '</z>: ' + skidinc.achievements.getTooltip(ach) + (progress === null ? '' : ' <b>-</b> ' + progress) + '<br>';
     };
     
+    if (!owned)
+        return skidinc.console.print(str);
+    
+    str += '<y>EARNED</y>:<br>';
+    
+    skidinc.achievements.ach.forEach(function(ach, i) {
+        if (!skidinc.achievements.owned[i])
+            return;
+        
+        str += '<b>-</b> <b>' + ach.name + '</b> on ' + skidinc.prestige.formatDate(skidinc.achievements.dates[i]) +
+            (ach.reward === null ? '' : ' (' + skidinc.achievements.getRewardStr(ach.reward) + ')') + '.<br>';
+    });
+    
+    ['money', 'exp', 'time', 'capacity'].forEach(function(kind) {
+        var value = skidinc.achievements.getBonus(kind);
+        
+        if (value > 0)
+            bonus.push(skidinc.achievements.getRewardStr({ kind: kind, value: value }));
+    });
+    
+    skidinc.achievements.getThemes().forEach(function(theme) {
+        bonus.push(skidinc.achievements.getRewardStr({ kind: 'theme', value: theme }));
+    });
+    
+    str += '<b>*</b> total bonus: <b>' + (bonus.length ? bonus.join(', ') : 'none') + '</b>.';
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.achievements.listAll = function(category) {
+    if (category && skidinc.achievements.categories.indexOf(category) == -1)
+        return skidinc.console.print('<x>ERR</x> <b>' + category + '</b> is not an achievement category, use one of: <b>' + skidinc.achievements.categories.join('</b>, <b>') + '</b>.');
+    
+    var owned = skidinc.achievements.getOwnedAmount(),
+        max = skidinc.achievements.ach.length,
+        str = '<y>ACHIEVEMENTS</y> ' + owned + '/' + max + ' completed:<br>';
+    
+    skidinc.achievements.categories.forEach(function(id) {
+        if (category && id !== category)
+            return;
+        
+        str += '<z>' + skidinc.achievements.getCategoryName(id) + '</z> (<b>' + id + '</b>):<br>';
+        
+        skidinc.achievements.ach.forEach(function(ach, i) {
+            if (ach.category !== id)
+                return;
+            
+            ach = skidinc.achievements.reveal(ach, i);
+            
+            str += '<b>' + (skidinc.achievements.owned[i] ? '[x]' : '[ ]') + '</b> <b>' + ach.name + '</b>: ' + ach.desc + ' <b>-</b> ' + skidinc.achievements.getStateStr(i) +
+                (ach.reward === null ? '' : ', reward <b>' + skidinc.achievements.getRewardStr(ach.reward) + '</b>') + '.<br>';
+        });
+    });
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.achievements.help = function() {
+    var str = '<y>ACHIEVEMENTS HELP</y> take a look on your progression:<br>' +
+        '<b>-</b> <b>achievements</b> shows the next achievement of each category, your earned ones and their total bonus.<br>' +
+        '<b>-</b> <b>achievements -all</b> lists every achievement with its unlock date or your progress.<br>' +
+        '<b>-</b> <b>achievements -all [category]</b> only lists a category (<b>' + skidinc.achievements.categories.join('</b>, <b>') + '</b>).';
+    
     return skidinc.console.print(str);
 };
 
@@ -136,6 +459,9 @@ skidinc.achievements.saveInit = function() {
         for (var i = 0; i < diff; i++)
             skidinc.achievements.owned.push(false);
     };
+    
+    while (skidinc.achievements.dates.length < skidinc.achievements.owned.length)
+        skidinc.achievements.dates.push(null);
 };
 
 skidinc.achievements.update = function() {
@@ -149,12 +475,44 @@ skidinc.achievements.update = function() {
         var ach = achievements[i];
         
         // tether.io change title attr to data-original-title when loaded...
-        $('#achievement-' + ach.category + '-tooltip').attr('data-original-title', ach.desc);
+        $('#achievement-' + ach.category + '-tooltip').attr('data-original-title', skidinc.achievements.getTooltip(ach));
         $('#achievement-' + ach.category + '-name').html(ach.name);
     };
 };
 
+skidinc.achievements.renderAll = function() {
+    var filter = $('#achievements-filter').val() || 'all',
+        str = '<table class="table table-sm"><thead><tr>' +
+            '<th></th><th>Achievement</th><th>Reward</th><th>State</th>' +
+            '</tr></thead><tbody>';
+    
+    skidinc.achievements.ach.forEach(function(ach, i) {
+        if (filter !== 'all' && ach.category !== filter)
+            return;
+        
+        ach = skidinc.achievements.reveal(ach, i);
+        
+        str += '<tr' + (skidinc.achievements.owned[i] ? ' class="table-success"' : '') + '>' +
+            '<td><i class="fa ' + ach.icon + '" aria-hidden="true"></i></td>' +
+            '<td><b>' + ach.name + '</b><br>' + ach.desc + '</td>' +
+            '<td>' + (ach.reward === null ? '-' : skidinc.achievements.getRewardStr(ach.reward)) + '</td>' +
+            '<td>' + skidinc.achievements.getStateStr(i) + '</td>' +
+        '</tr>';
+    });
+    
+    $('#achievements-all').html(str + '</tbody></table>');
+};
+
 skidinc.achievements.domInit = function() {
+    skidinc.events.on('achievement:unlocked', function() {
+        skidinc.achievements.update();
+        skidinc.achievements.renderAll();
+    });
+    
+    skidinc.events.on('prestige:reset', function() {
+        skidinc.achievements.update();
+    });
+    
     var achievements = skidinc.achievements.getLast(),
         owned = skidinc.achievements.getOwnedAmount(),
         max = skidinc.achievements.ach.length;
@@ -162,9 +520,16 @@ skidinc.achievements.domInit = function() {
     $('#achievements-owned').html('Achievements owned (' + owned + '/' + max + '):');
     $('#achievements-content').append('<div id="achievements-row" class="row"></div>');
     
+    skidinc.achievements.categories.forEach(function(category) {
+        $('#achievements-filter').append('<option value="' + category + '">' + skidinc.achievements.getCategoryName(category) + '</option>');
+    });
+    
+    $('#achievements-filter').on('change', skidinc.achievements.renderAll);
+    $('#modal-achievements').on('shown.bs.modal', skidinc.achievements.renderAll);
+    
     for (var i = 0; i < achievements.length; i++) {
         $('#achievements-row').append('<div id="achievement-' + achievements[i].category + '" class="col-md-2 achievement-col">' +
-            '<div id="achievement-' + achievements[i].category + '-tooltip" class="achievement-block" data-animation="false" data-toggle="tooltip" data-placement="top" title="' + achievements[i].desc + '">' +
+            '<div id="achievement-' + achievements[i].category + '-tooltip" class="achievement-block" data-animation="false" data-toggle="tooltip" data-placement="top" title="' + skidinc.achievements.getTooltip(achievements[i]) + '">' +
                 '<i class="fa ' + achievements[i].icon + '" aria-hidden="true"></i>' +
             '</div>' +
             '<p id="achievement-' + achievements[i].category + '-name">' + achievements[i].name + '</p>' +
@@ -174,18 +539,34 @@ skidinc.achievements.domInit = function() {
 
 skidinc.achievements.loop = function() {
     for (var i = 0; i < skidinc.achievements.ach.length; i++) {
-        var achievement = skidinc.achievements.ach[i],
-            owned = skidinc.achievements.owned[i];
-        
-        if (!owned) {
-            var test = eval(achievement.varCheck + achievement.typeCheck + achievement.amount);
-            
-            if (test) {
-                skidinc.achievements.owned[i] = true;
-                skidinc.console.print('<y>ACHIEVEMENT</y> you earned a new achievement: <b>' + achievement.name + ', ' + achievement.desc.toLowerCase() + '</b>');
-                
-                skidinc.achievements.update();
-            };
-        };
+        if (!skidinc.achievements.ach[i].on)
+            skidinc.achievements.check(i);
     };
-};
\ No newline at end of file
+};
+
+skidinc.achievements.serialize = function() {
+    return {
+        owned: skidinc.achievements.owned,
+        dates: skidinc.achievements.dates
+    };
+};
+
+skidinc.achievements.deserialize = function(data) {
+    skidinc.achievements.owned = data.owned;
+    skidinc.achievements.dates = data.dates;
+};
+
+skidinc.console.register({
+    id: 'achievements',
+    desc: 'take a look on your progression.',
+    args: ['[category]'],
+    flags: ['-all'],
+    handler: function(args, flags) {
+        if (flags.all)
+            return skidinc.achievements.listAll(args[0]);
+        
+        return skidinc.achievements.list();
+    },
+    help: skidinc.achievements.help,
+    complete: [skidinc.achievements.categories]
+});
@@ -29,40 +29,41 @@ skidinc.autoscript.buy = function(what) {
             return skidinc.console.print('<x>ERR</x> you already unlocked <b>' + s.id + '</b> autoscript.');
         if (!skidinc.script.unlocked[s.i])
             return skidinc.console.print('<x>ERR</x> you can\'t buy an autoscript for a script you don\'t own (<b>' + s.id + '</b> script).');
-        if (skidinc.player.money < skidinc.autoscript.cost[s.i])
+        if (skidinc.player.money.lt(skidinc.autoscript.cost[s.i]))
             return skidinc.console.print('<x>ERR</x> not enough money to buy <b>' + s.id + '</b> autoscript (cost <b>$' + fix(skidinc.autoscript.cost[s.i]) + '</b>).');
         else {
-            skidinc.player.money -= skidinc.autoscript.cost[s.i];
+            skidinc.player.money = skidinc.player.money.sub(skidinc.autoscript.cost[s.i]);
             skidinc.autoscript.unlocked[s.i] = true;
             
-            return skidinc.console.print('You bought <b>' + s.id + '</b> autoscript.');
+            return skidinc.events.emit('purchase:autoscript', {
+                script: s,
+                cost: skidinc.autoscript.cost[s.i]
+            });
         };
     };
 };
 
+// autoscripts also benefit from servers with an autoscript speed effect.
+skidinc.autoscript.getTime = function(script) {
+    return script.time / (skidinc.player.getTimeMult() * skidinc.server.getEffect('autoscript'));
+};
+
 skidinc.autoscript.loop = function(times) {
     for (var i = 0; i < skidinc.script.scripts.length; i++) {
         var script = skidinc.script.scripts[i];
 
         if (skidinc.autoscript.unlocked[script.i]) {
             skidinc.autoscript.time[script.i] += times / skidinc.fps;
-            
-            var maxTime = script.time / skidinc.player.getTimeMult(),
-                percent = skidinc.autoscript.time[script.i] / maxTime * 100;
-            
-            $('#autoscript-' + script.i + ' #time').html(fix(skidinc.autoscript.time[script.i], 2) + 's <small>(' + fix(percent, 0) + '%)</small>');
 
-            if (skidinc.autoscript.time[script.i] >= (script.time / skidinc.player.getTimeMult()))
+            if (skidinc.autoscript.time[script.i] >= skidinc.autoscript.getTime(script))
                 skidinc.autoscript.finish(script);
         };
     };
-    
-    skidinc.autoscript.update();
 };
 
 skidinc.autoscript.finish = function(script) {
-    var money = script.money * skidinc.player.getMoneyMult(),
-        exp = script.exp * skidinc.player.getExpMult();
+    var money = skidinc.script.getMoney(script),
+        exp = skidinc.script.getExp(script);
     
     skidinc.player.earn('money', money);
     skidinc.player.earn('exp', exp);
@@ -70,20 +71,30 @@ skidinc.autoscript.finish = function(script) {
     skidinc.script.completed[script.i]++;
     skidinc.script.totalCompleted = skidinc.script.completed.reduce((a, b) => a + b, 0);
     skidinc.autoscript.time[script.i] = 0;
+    
+    skidinc.events.emit('script:finished', {
+        script: script,
+        money: money,
+        exp: exp,
+        auto: true
+    });
 };
 
-skidinc.autoscript.update = function() {
+skidinc.autoscript.render = function() {
     for (var i = 0; i < skidinc.script.scripts.length; i++) {
         var script = skidinc.script.scripts[i],
             scriptUnlocked = skidinc.script.unlocked[script.i],
             unlocked = skidinc.autoscript.unlocked[i],
-            time = script.time / skidinc.player.getTimeMult(),
-            income = script.money * skidinc.player.getMoneyMult(),
-            incomePerSec = income / time,
-            exp = script.exp * skidinc.player.getExpMult(),
-            expPerSec = exp / time;
+            time = skidinc.autoscript.getTime(script),
+            income = skidinc.script.getMoney(script),
+            incomePerSec = income.div(time),
+            exp = skidinc.script.getExp(script),
+            expPerSec = exp.div(time);
         
         if (unlocked) {
+            var percent = skidinc.autoscript.time[script.i] / time * 100;
+            
+            $('#autoscript-' + script.i + ' #time').html(fix(skidinc.autoscript.time[script.i], 2) + 's <small>(' + fix(percent, 0) + '%)</small>');
             $('#autoscript-' + script.i + ' #money').html('Money');
             $('#autoscript-' + script.i + ' #experience').html('Experience');
             $('#autoscript-' + script.i + ' #income').html('$' + fix(income, 0) + ' <small>($' + fix(incomePerSec, 0) + '/s)</small>');
@@ -93,7 +104,7 @@ skidinc.autoscript.update = function() {
             if (scriptUnlocked)
                 $('#autoscript-' + script.i + ' #income').html('bought');
             else
-                $('#autoscript-' + script.i + ' #income').html('cost <b>$' + fix(script.cost, 0) + '</b>');
+                $('#autoscript-' + script.i + ' #income').html('cost <b>$' + fix(skidinc.script.getCost(script), 0) + '</b>');
             
             $('#autoscript-' + script.i + ' #money').html('Script');
             $('#autoscript-' + script.i + ' #experience').html('Autoscript');
@@ -102,7 +113,9 @@ skidinc.autoscript.update = function() {
     };
 };
 
-skidinc.autoscript.domInit = function() {
+skidinc.autoscript.renderTab = function() {
+    $('#stats-autoscripts').empty();
+    
     for (var i = 0; i < skidinc.script.scripts.length; i++) {
         var script = skidinc.script.scripts[i],
             unlocked = skidinc.autoscript.unlocked[i];
@@ -122,6 +135,14 @@ skidinc.autoscript.domInit = function() {
     };
 };
 
+skidinc.autoscript.domInit = function() {
+    skidinc.autoscript.renderTab();
+    
+    skidinc.events.on('prestige:reset', function() {
+        skidinc.autoscript.renderTab();
+    });
+};
+
 skidinc.autoscript.init = function() {
     if (skidinc.script.scripts.length !== skidinc.autoscript.unlocked.length) {
         skidinc.autoscript.unlocked = [];
@@ -156,4 +177,19 @@ skidinc.autoscript.prestige = function() {
         skidinc.autoscript.unlocked.push(false);
         skidinc.autoscript.time.push(0);
     });
+    
+    for (var i = 0; i < skidinc.botnet.getEffect('autostart') && i < skidinc.autoscript.unlocked.length; i++)
+        skidinc.autoscript.unlocked[i] = true;
+};
+
+skidinc.autoscript.serialize = function() {
+    return {
+        unlocked: skidinc.autoscript.unlocked,
+        time: skidinc.autoscript.time
+    };
+};
+
+skidinc.autoscript.deserialize = function(data) {
+    skidinc.autoscript.unlocked = data.unlocked;
+    skidinc.autoscript.time = data.time || [];
 };
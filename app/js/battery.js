@@ -43,16 +43,25 @@ skidinc.battery.getTimeEffect = function() {
         return 1;
 };
 
+skidinc.battery.getUpgrade = function() {
+    return {
+        price: skidinc.battery.price,
+        inflation: skidinc.battery.inflation,
+        level: skidinc.battery.level,
+        max: Infinity
+    };
+};
+
 skidinc.battery.getCost = function() {
-    return Math.floor(skidinc.battery.price * Math.pow(skidinc.battery.inflation, skidinc.battery.level));
+    return skidinc.buy.getCost(skidinc.battery.getUpgrade(), 1);
 };
 
 skidinc.battery.getMaxCharge = function() {
-    return (skidinc.battery.maxCharge * skidinc.battery.chargeTimeMult) + (skidinc.battery.level * skidinc.battery.levelCharge);
+    return (skidinc.battery.maxCharge * skidinc.battery.chargeTimeMult) + (skidinc.battery.level * skidinc.battery.levelCharge) + skidinc.achievements.getBonus('capacity');
 };
 
 skidinc.battery.getChargePower = function() {
-    return (skidinc.battery.chargePower * skidinc.battery.chargePowerMult) + skidinc.battery.level - 1;
+    return ((skidinc.battery.chargePower * skidinc.battery.chargePowerMult) + skidinc.battery.level - 1) * skidinc.server.getEffect('charge') * (1 + skidinc.botnet.getEffect('overclock'));
 };
 
 skidinc.battery.list = function() {
@@ -63,7 +72,7 @@ skidinc.battery.list = function() {
     return str;
 };
 
-skidinc.battery.display = function() {
+skidinc.battery.render = function() {
     var maxCharge = skidinc.battery.getMaxCharge();
     
     $('#battery-level').css('width', skidinc.battery.time / maxCharge * 100 + '%');
@@ -90,16 +99,22 @@ skidinc.battery.display = function() {
     };
 };
 
-skidinc.battery.buy = function() {
-    var cost = skidinc.battery.getCost();
+skidinc.battery.buy = function(amount) {
+    var quote = skidinc.buy.quote(skidinc.battery.getUpgrade(), amount || 1);
     
-    if (skidinc.player.money < cost)
-        return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>battery</b> (cost <b>$' + fix(cost, 0) + '</b>).');
-    if (skidinc.player.money >= cost) {
-        skidinc.player.money -= cost;
-        skidinc.battery.level++;
-        return skidinc.console.print('<z>BATTERY</z> you successfully upgraded your battery to <b>level ' + skidinc.battery.level + '</b>.');
-    };
+    if (quote.error == 'money' && quote.amount <= 1)
+        return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>battery</b> (cost <b>$' + fix(quote.cost, 0) + '</b>).');
+    if (quote.error == 'money')
+        return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>battery</b> <b>' + quote.amount + ' times</b> (total cost of <b>$' + fix(quote.cost, 0) + '</b>).');
+    
+    skidinc.player.money = skidinc.player.money.sub(quote.cost);
+    skidinc.battery.level += quote.amount;
+    
+    return skidinc.events.emit('purchase:battery', {
+        level: skidinc.battery.level,
+        amount: quote.amount,
+        cost: quote.cost
+    });
 };
 
 skidinc.battery.loop = function(times) {
@@ -115,8 +130,6 @@ skidinc.battery.loop = function(times) {
         skidinc.battery.time -= (times / skidinc.fps);
     else if (skidinc.battery.time <= 0)
         skidinc.battery.time = 0;
-    
-    skidinc.battery.display();
 };
 
 skidinc.battery.domInit = function() {
@@ -132,4 +145,16 @@ skidinc.battery.domInit = function() {
 skidinc.battery.prestige = function() {
     skidinc.battery.level = 1;
     skidinc.battery.time = 0;
-};
\ No newline at end of file
+};
+
+skidinc.battery.serialize = function() {
+    return {
+        level: skidinc.battery.level,
+        time: skidinc.battery.time
+    };
+};
+
+skidinc.battery.deserialize = function(data) {
+    skidinc.battery.level = data.level;
+    skidinc.battery.time = data.time;
+};
@@ -0,0 +1,215 @@
+skidinc.botnet = {};
+skidinc.botnet.spent = BigNum.from(0);
+skidinc.botnet.owned = {};
+
+// botnets spent here still count for the prestige multiplier, upgrades are
+// never reset by a prestige. effect is the bonus given per level.
+skidinc.botnet.upgrades = [{
+    id: 'autostart',
+    name: 'Zombie army',
+    desc: 'start every prestige with one more script and its autoscript unlocked.',
+    price: 10,
+    inflation: 3,
+    max: 5,
+    effect: 1
+}, {
+    id: 'overclock',
+    name: 'Overclock',
+    desc: 'increase your battery charge power by 25%.',
+    price: 5,
+    inflation: 2,
+    max: 10,
+    effect: 0.25
+}, {
+    id: 'persistence',
+    name: 'Persistence',
+    desc: 'keep 10% of your server levels after a prestige.',
+    price: 25,
+    inflation: 3,
+    max: 5,
+    effect: 0.1
+}, {
+    id: 'cracked',
+    name: 'Cracked licenses',
+    desc: 'scripts cost 10% less.',
+    price: 8,
+    inflation: 2.5,
+    max: 5,
+    effect: 0.1
+}];
+
+skidinc.botnet.getUpgrade = function(id) {
+    for (var i = 0; i < skidinc.botnet.upgrades.length; i++) {
+        if (skidinc.botnet.upgrades[i].id == id)
+            return skidinc.botnet.upgrades[i];
+    };
+
+    return null;
+};
+
+skidinc.botnet.getLevel = function(id) {
+    return skidinc.botnet.owned[id] || 0;
+};
+
+skidinc.botnet.setOwned = function(owned) {
+    var obj = {};
+
+    skidinc.botnet.upgrades.forEach(function(upgrade) {
+        obj[upgrade.id] = Math.min(upgrade.max, (owned && owned[upgrade.id]) || 0);
+    });
+
+    skidinc.botnet.owned = obj;
+};
+
+// total bonus of an upgrade, effect times level.
+skidinc.botnet.getEffect = function(id) {
+    return skidinc.botnet.getUpgrade(id).effect * skidinc.botnet.getLevel(id);
+};
+
+skidinc.botnet.getAvailable = function() {
+    return BigNum.max(0, skidinc.player.botnet.sub(skidinc.botnet.spent));
+};
+
+skidinc.botnet.getCostUpgrade = function(id) {
+    var upgrade = skidinc.botnet.getUpgrade(id);
+
+    return {
+        price: upgrade.price,
+        inflation: upgrade.inflation,
+        level: skidinc.botnet.getLevel(id),
+        max: upgrade.max
+    };
+};
+
+skidinc.botnet.getCost = function(id) {
+    return skidinc.buy.getCost(skidinc.botnet.getCostUpgrade(id), 1);
+};
+
+skidinc.botnet.list = function() {
+    var str = '<y>BOTNET UPGRADES</y> you have <b>' + fix(skidinc.botnet.getAvailable(), 0) + '</b> botnets to spend:<br>';
+
+    skidinc.botnet.upgrades.forEach(function(upgrade) {
+        var level = skidinc.botnet.getLevel(upgrade.id);
+
+        str += '<b>-</b> <z>' + upgrade.id + '</z> (' + upgrade.name + ', lvl <b>' + level + '/' + upgrade.max + '</b>): ' + upgrade.desc;
+
+        if (level >= upgrade.max)
+            str += ' <b>Max level.</b><br>';
+        else
+            str += ' Next level cost <b>' + fix(skidinc.botnet.getCost(upgrade.id), 0) + ' botnets</b>.<br>';
+    });
+
+    return skidinc.console.print(str);
+};
+
+skidinc.botnet.help = function() {
+    var str = '<y>BOTNET HELP</y> spend your botnets on upgrades kept between prestiges:<br>' +
+        '<b>-</b> <b>botnet</b> alone or <b>botnet -l/-list</b> shows the upgrades and their cost.<br>' +
+        '<b>-</b> <b>botnet [upgrade]</b> buys a level of an upgrade, add <b>-q</b> followed by a number or <b>"max"</b> to buy several.<br>' +
+        '<b>-</b> spent botnets still count for your prestige multiplier.';
+
+    return skidinc.console.print(str);
+};
+
+skidinc.botnet.buy = function(id, amount) {
+    var upgrade = skidinc.botnet.getUpgrade(id);
+
+    if (upgrade === null)
+        return skidinc.console.print('<x>ERR</x> <b>' + id + '</b> is not a botnet upgrade.');
+
+    var quote = skidinc.buy.quote(skidinc.botnet.getCostUpgrade(id), amount || 1, skidinc.botnet.getAvailable());
+
+    if (quote.error == 'max')
+        return skidinc.console.print('<x>ERR</x> <b>' + id + '</b> is already at its max level (<b>' + upgrade.max + '</b>).');
+    if (quote.error == 'exceed')
+        return skidinc.console.print('<x>ERR</x> <b>' + id + '</b> max level (<b>' + upgrade.max + '</b>) will be exceeded if you upgrade it <b>' + quote.amount + ' times</b>.');
+    if (quote.error == 'money')
+        return skidinc.console.print('<x>ERR</x> not enough botnets to upgrade <b>' + id + '</b> (cost <b>' + fix(quote.cost, 0) + ' botnets</b>).');
+
+    skidinc.botnet.spent = skidinc.botnet.spent.add(quote.cost);
+    skidinc.botnet.owned[id] = skidinc.botnet.getLevel(id) + quote.amount;
+
+    return skidinc.events.emit('purchase:botnet', {
+        upgrade: upgrade,
+        level: skidinc.botnet.owned[id],
+        amount: quote.amount,
+        cost: quote.cost
+    });
+};
+
+skidinc.botnet.execute = function(args, flags) {
+    if (!args.length)
+        return skidinc.botnet.list();
+
+    var amount = (typeof flags.q == 'undefined') ? 1 : flags.q;
+
+    if (typeof amount == 'number' && amount < 1)
+        return skidinc.console.print('<x>ERR</x> <b>-q</b> argument must be at least <b>1</b>.');
+
+    return skidinc.botnet.buy(args[0], (typeof amount == 'number') ? Math.floor(amount) : amount);
+};
+
+skidinc.botnet.render = function() {
+    $('#botnet-upgrades #available').html(fix(skidinc.botnet.getAvailable(), 0));
+
+    skidinc.botnet.upgrades.forEach(function(upgrade) {
+        var level = skidinc.botnet.getLevel(upgrade.id),
+            maxed = level >= upgrade.max;
+
+        $('#botnet-' + upgrade.id + ' #level').html('Lvl. ' + level + '/' + upgrade.max);
+        $('#botnet-' + upgrade.id + ' #cost').html(maxed ? 'max level' : fix(skidinc.botnet.getCost(upgrade.id), 0) + ' botnets');
+        $('#botnet-' + upgrade.id + ' .btn').toggleClass('disabled', maxed || skidinc.botnet.getAvailable().lt(skidinc.botnet.getCost(upgrade.id)));
+    });
+};
+
+skidinc.botnet.domInit = function() {
+    var str = '<p>Botnets to spend: <b id="available"></b></p>';
+
+    skidinc.botnet.upgrades.forEach(function(upgrade) {
+        str += '<div id="botnet-' + upgrade.id + '" class="stat-container">' +
+            '<div class="names">' +
+                '<p><span data-toggle="tooltip" data-placement="top" title="' + upgrade.desc + '">' + upgrade.name + ' <i class="fa fa-info-circle" aria-hidden="true"></i></span></p>' +
+                '<p><a class="btn btn-outline-info btn-sm" role="button" data-upgrade="' + upgrade.id + '">Upgrade</a></p>' +
+            '</div>' +
+            '<div class="content">' +
+                '<p id="level"></p>' +
+                '<p id="cost"></p>' +
+            '</div>' +
+        '</div>';
+    });
+
+    $('#botnet-upgrades').html(str);
+
+    $('#botnet-upgrades .btn').on('click', function() {
+        skidinc.botnet.buy($(this).data('upgrade'), 1);
+    });
+};
+
+skidinc.botnet.init = function() {
+    skidinc.botnet.setOwned(skidinc.botnet.owned);
+};
+
+skidinc.botnet.serialize = function() {
+    return {
+        owned: skidinc.botnet.owned,
+        spent: skidinc.botnet.spent
+    };
+};
+
+skidinc.botnet.deserialize = function(data) {
+    skidinc.botnet.setOwned(data.owned);
+    skidinc.botnet.spent = BigNum.from(data.spent);
+};
+
+skidinc.console.register({
+    id: 'botnet',
+    desc: 'spend botnets on upgrades kept between prestiges.',
+    args: ['[upgrade]'],
+    flags: ['-q <number|max>'],
+    handler: skidinc.botnet.execute,
+    help: skidinc.botnet.help,
+    list: skidinc.botnet.list,
+    complete: [skidinc.botnet.upgrades.map(function(upgrade) {
+        return upgrade.id;
+    })]
+});
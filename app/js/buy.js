@@ -2,15 +2,217 @@ skidinc.buy = {};
 skidinc.buy.secondArgs = [];
 skidinc.buy.thirdArgs = [];
 
-skidinc.buy.categories = ['autoscript', 'script', 'server', 'battery', 'multiplier'];
-skidinc.buy.categoriesList = ['skidinc.autoscript.list', 'skidinc.script.listBuy', 'skidinc.server.list', 'skidinc.battery.list', 'skidinc.player.listMultiplier'];
-skidinc.buy.categoriesDesc = [
-    'buy autoscripts to automatize script execution.',
-    'buy new, more powerful scripts.',
-    'upgrade your servers to maximize your income.',
-    'upgrade your battery level.',
-    'upgrade your global multipliers.'
-];
+// every upgrade costs price * inflation^level, so buying n levels is the
+// geometric series price * inflation^level * (inflation^n - 1) / (inflation - 1).
+// upgrades are described as { price, inflation, level, max } with max the
+// highest level reachable (Infinity when there is none).
+skidinc.buy.getCost = function(upgrade, amount) {
+    var first = BigNum.from(upgrade.inflation).pow(upgrade.level).mul(upgrade.price);
+    
+    if (amount <= 0)
+        return BigNum.from(0);
+    if (amount == 1)
+        return first.floor();
+    if (upgrade.inflation == 1)
+        return first.mul(amount).floor();
+    
+    return BigNum.from(upgrade.inflation).pow(amount).sub(1).mul(first).div(upgrade.inflation - 1).floor();
+};
+
+skidinc.buy.getMaxAmount = function(upgrade, money) {
+    var left = upgrade.max - upgrade.level,
+        first = BigNum.from(upgrade.inflation).pow(upgrade.level).mul(upgrade.price),
+        amount;
+    
+    if (left <= 0 || money.lt(skidinc.buy.getCost(upgrade, 1)))
+        return 0;
+    
+    if (upgrade.inflation == 1)
+        amount = Math.floor(money.div(first).toNumber());
+    else
+        amount = Math.floor(money.mul(upgrade.inflation - 1).div(first).add(1).log10() / Math.log10(upgrade.inflation));
+    
+    amount = Math.min(amount, left);
+    
+    // the logarithm can round one level off either way.
+    if (amount > 0 && skidinc.buy.getCost(upgrade, amount).gt(money))
+        amount--;
+    if (amount < left && skidinc.buy.getCost(upgrade, amount + 1).lte(money))
+        amount++;
+    
+    return amount;
+};
+
+// prices a purchase of amount levels ('max' for as many as affordable), error
+// is 'max' (already maxed), 'exceed' (amount goes past max) or 'money'. money
+// defaults to the player money.
+skidinc.buy.quote = function(upgrade, amount, money) {
+    money = money || skidinc.player.money;
+    
+    var left = upgrade.max - upgrade.level,
+        quote = {
+            amount: amount,
+            cost: null,
+            error: null
+        };
+    
+    if (amount == 'max')
+        quote.amount = skidinc.buy.getMaxAmount(upgrade, money);
+    
+    quote.cost = skidinc.buy.getCost(upgrade, Math.max(1, quote.amount));
+    
+    if (left <= 0)
+        quote.error = 'max';
+    else if (quote.amount > left)
+        quote.error = 'exceed';
+    else if (quote.amount == 0 || money.lt(quote.cost))
+        quote.error = 'money';
+    
+    return quote;
+};
+
+// list returns the category details for buy -l, exec buys an item of the category,
+// single categories sell unique items that -q doesn't apply to. upgrade and
+// setLevel describe an item as a cost solver upgrade for --preview and advise,
+// items lists the item names and available tells if an item can be bought now,
+// charged values the payback of the category on a charged battery.
+skidinc.buy.categories = [{
+    id: 'autoscript',
+    desc: 'buy autoscripts to automatize script execution.',
+    list: function() {
+        return skidinc.autoscript.list();
+    },
+    single: true,
+    exec: function(item) {
+        return skidinc.autoscript.buy(item);
+    },
+    items: function() {
+        return skidinc.script.scripts.map(function(script) {
+            return script.id;
+        });
+    },
+    available: function(item) {
+        return skidinc.script.unlocked[skidinc.script.getScript(item).i];
+    },
+    upgrade: function(item) {
+        var script = skidinc.script.getScript(item);
+        
+        if (script === null)
+            return null;
+        
+        return {
+            price: skidinc.autoscript.cost[script.i],
+            inflation: 1,
+            level: skidinc.autoscript.unlocked[script.i] ? 1 : 0,
+            max: 1
+        };
+    },
+    setLevel: function(item, level) {
+        skidinc.autoscript.unlocked[skidinc.script.getScript(item).i] = level > 0;
+    }
+}, {
+    id: 'script',
+    desc: 'buy new, more powerful scripts.',
+    list: function() {
+        return skidinc.script.listBuy();
+    },
+    single: true,
+    exec: function(item) {
+        return skidinc.script.buy(item);
+    },
+    items: function() {
+        return skidinc.script.scripts.map(function(script) {
+            return script.id;
+        });
+    },
+    upgrade: function(item) {
+        var script = skidinc.script.getScript(item);
+        
+        if (script === null)
+            return null;
+        
+        return {
+            price: skidinc.script.getCost(script),
+            inflation: 1,
+            level: skidinc.script.unlocked[script.i] ? 1 : 0,
+            max: 1
+        };
+    },
+    setLevel: function(item, level) {
+        skidinc.script.unlocked[skidinc.script.getScript(item).i] = level > 0;
+    }
+}, {
+    id: 'server',
+    desc: 'upgrade your servers to maximize your income.',
+    list: function() {
+        return skidinc.server.list();
+    },
+    exec: function(item, amount) {
+        return skidinc.server.buy(item, amount);
+    },
+    items: function() {
+        return skidinc.server.servers.map(function(server) {
+            return server.id;
+        });
+    },
+    upgrade: function(item) {
+        return skidinc.server.getServer(item) === null ? null : skidinc.server.getUpgrade(item);
+    },
+    setLevel: function(item, level) {
+        skidinc.server.owned[item] = level;
+    }
+}, {
+    id: 'battery',
+    desc: 'upgrade your battery level.',
+    list: function() {
+        return skidinc.battery.list();
+    },
+    charged: true,
+    exec: function(item, amount) {
+        return skidinc.battery.buy(amount);
+    },
+    upgrade: function() {
+        return skidinc.battery.getUpgrade();
+    },
+    setLevel: function(item, level) {
+        skidinc.battery.level = level;
+    }
+}, {
+    id: 'multiplier',
+    desc: 'upgrade your global multipliers.',
+    list: function() {
+        return skidinc.player.listMultiplier();
+    },
+    exec: function(item, amount) {
+        return skidinc.player.buyMultiplier(amount);
+    },
+    upgrade: function() {
+        return skidinc.player.getMultiplierUpgrade();
+    },
+    setLevel: function(item, level) {
+        skidinc.player.multiplierLevel = level;
+    }
+}, {
+    id: 'slot',
+    desc: 'buy execution slots to run scripts in parallel.',
+    list: function() {
+        return skidinc.script.listSlots();
+    },
+    exec: function(item, amount) {
+        return skidinc.script.buySlot(amount);
+    },
+    upgrade: function() {
+        return skidinc.script.getSlotUpgrade();
+    },
+    setLevel: function(item, level) {
+        var slots = skidinc.script.slots.slice(0, level + 1);
+        
+        while (slots.length < level + 1)
+            slots.push(skidinc.script.createSlot());
+        
+        skidinc.script.slots = slots;
+    }
+}];
 
 skidinc.buy.help = function() {
     var str = '<y>BUY HELP</y> buy new scripts, auto-scripts and upgrade servers:<br>' +
@@ -18,6 +220,7 @@ skidinc.buy.help = function() {
         '<b>-</b> first argument is the <b>category</b> of the thing you want to buy.<br>' +
         '<b>-</b> second argument is optional for some categories, it\'s the <b>name</b> of the specific thing you want to buy.<br>' +
         '<b>-</b> you can add an argument to buy multiple things at once (<b>-q</b> followed by a number or <b>"max"</b> keyword).<br>' +
+        '<b>-</b> add <b>--preview</b> to see the cost and the effects of a purchase without buying it.<br>' +
         '<b>-</b> get a list of all the things you can buy with <b>buy -l/-list</b>.';
     
     return skidinc.console.print(str);
@@ -27,77 +230,289 @@ skidinc.buy.list = function() {
     var str = '<y>BUY LIST</y>:<br>';
     
     for (var i = 0; i < skidinc.buy.categories.length; i++) {
-        var category = skidinc.buy.categories[i],
-            categoryList = skidinc.buy.categoriesList[i],
-            categoryDesc = skidinc.buy.categoriesDesc[i];
+        var category = skidinc.buy.categories[i];
         
-        str += '<b>-</b> <z>' + category + '</z>: ' + categoryDesc + '<br><p class="text-bullet">' + eval(categoryList)() + '</p>';
+        str += '<b>-</b> <z>' + category.id + '</z>: ' + category.desc + '<br><p class="text-bullet">' + category.list() + skidinc.buy.listPayback(category) + '</p>';
     };
     
     return skidinc.console.print(str);
 };
 
-skidinc.buy.execute = function(args) {
-    var exists = false,
-        c;
+skidinc.buy.getCategory = function(id) {
+    for (var i = 0; i < skidinc.buy.categories.length; i++) {
+        if (skidinc.buy.categories[i].id == id)
+            return skidinc.buy.categories[i];
+    };
+    
+    return null;
+};
+
+// upgrade of a category item as the active challenge allows it, null when the
+// item doesn't exist.
+skidinc.buy.getUpgrade = function(category, item) {
+    var upgrade = category.upgrade(item);
+    
+    return upgrade === null ? null : skidinc.challenge.limit(category, upgrade);
+};
 
-    for (var category in skidinc.buy.categories) {
-        var i = category,
-            category = skidinc.buy.categories[i];
+skidinc.buy.execute = function(args, flags) {
+    var category = skidinc.buy.getCategory(args[0]);
+    
+    if (category == null)
+        return skidinc.console.print('<x>ERR</x> <b>' + args[0] + '</b> is not valid category.');
+    
+    var amount = (typeof flags.q == 'undefined') ? 1 : flags.q;
+    
+    if (typeof amount == 'number' && amount < 1)
+        return skidinc.console.print('<x>ERR</x> <b>-q</b> argument must be at least <b>1</b>.');
+    
+    if (category.single && amount !== 1)
+        return skidinc.console.print('<x>ERR</x> <b>' + category.id + '</b> items can only be bought once, <b>-q</b> doesn\'t apply.');
+    
+    amount = (typeof amount == 'number') ? Math.floor(amount) : amount;
+    
+    if (category.items && typeof args[1] == 'undefined')
+        return skidinc.console.print('<x>ERR</x> put an item name after <b>buy ' + category.id + '</b>, see <b>buy -l</b>.');
+    
+    var upgrade = skidinc.buy.getUpgrade(category, args[1]);
+    
+    // the category buy functions only know their own max level.
+    if (upgrade !== null && upgrade.limited) {
+        var quote = skidinc.buy.quote(upgrade, amount);
         
-        if (args[0] == category.trim()) {
-            exists = true;
-            c = category.trim();
+        if (quote.error == 'max' || quote.error == 'exceed')
+            return skidinc.challenge.printLimit(category.id + (args[1] ? ' ' + args[1] : ''), upgrade);
+        if (amount == 'max' && quote.amount > 0)
+            amount = quote.amount;
+    };
+    
+    if (flags.preview)
+        return skidinc.buy.preview(category, args[1], amount);
+    
+    return category.exec(args[1], amount);
+};
+
+// values a purchase can change, read with the same functions the game uses.
+skidinc.buy.getSnapshot = function() {
+    var snapshot = {
+        money: skidinc.player.getMoneyMult(),
+        exp: skidinc.player.getExpMult(),
+        time: skidinc.player.getTimeMult(),
+        charge: skidinc.battery.getChargePower(),
+        maxCharge: skidinc.battery.getMaxCharge(),
+        autoscripts: []
+    };
+    
+    skidinc.script.scripts.forEach(function(script) {
+        if (!skidinc.autoscript.unlocked[script.i])
+            return;
+        
+        var time = skidinc.autoscript.getTime(script);
+        
+        snapshot.autoscripts.push({
+            id: script.id,
+            money: skidinc.script.getMoney(script).div(time),
+            exp: skidinc.script.getExp(script).div(time)
+        });
+    });
+    
+    return snapshot;
+};
+
+// applies the levels of the purchase, reads the snapshot and puts them back.
+skidinc.buy.simulate = function(category, item, count) {
+    var level = category.upgrade(item).level,
+        snapshots = {
+            before: skidinc.buy.getSnapshot(),
+            after: null
         };
+    
+    try {
+        category.setLevel(item, level + count);
+        snapshots.after = skidinc.buy.getSnapshot();
+    }
+    finally {
+        category.setLevel(item, level);
     };
     
-    if (!exists)
-        return skidinc.console.print('<x>ERR</x> <b>' + args[0] + '</b> is not valid category.');
+    return snapshots;
+};
+
+skidinc.buy.getIncome = function(snapshot) {
+    return snapshot.autoscripts.reduce(function(total, autoscript) {
+        return total.add(autoscript.money);
+    }, BigNum.from(0));
+};
+
+skidinc.buy.preview = function(category, item, amount) {
+    var upgrade = skidinc.buy.getUpgrade(category, item);
+    
+    if (upgrade === null)
+        return skidinc.console.print('<x>ERR</x> <b>' + item + '</b> is not a valid <b>' + category.id + '</b> item.');
+    
+    var quote = skidinc.buy.quote(upgrade, amount),
+        count = Math.max(1, quote.amount),
+        name = category.id + (item ? ' ' + item : '');
+    
+    if (quote.error == 'max')
+        return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is already at its max level.');
+    if (quote.error == 'exceed')
+        return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> max level will be exceeded by <b>' + quote.amount + '</b> levels.');
+    
+    var snapshots = skidinc.buy.simulate(category, item, count),
+        before = snapshots.before,
+        after = snapshots.after,
+        left = skidinc.player.money.sub(quote.cost),
+        str = '<y>BUY PREVIEW</y> <b>' + name + '</b> x<b>' + count + '</b>:<br>';
     
-    if (exists) {
-        var item = (typeof args[1] == 'undefined') ? undefined : args[1],
-            item=item.trim()
-            amount = 1,
-            qIndex;
+    if (left.lt(0))
+        str += '<b>-</b> total cost <b>$' + fix(quote.cost, 0) + '</b>, you are missing <b>$' + fix(left.mul(-1), 0) + '</b>.<br>';
+    else
+        str += '<b>-</b> total cost <b>$' + fix(quote.cost, 0) + '</b>, money left <b>$' + fix(left, 0) + '</b>.<br>';
+    
+    str += '<b>-</b> money mult. <b>x' + fix(before.money, 2) + '</b> -> <b>x' + fix(after.money, 2) + '</b>.<br>' +
+        '<b>-</b> exp mult. <b>x' + fix(before.exp, 2) + '</b> -> <b>x' + fix(after.exp, 2) + '</b>.<br>' +
+        '<b>-</b> time mult. <b>/' + fix(before.time, 2) + '</b> -> <b>/' + fix(after.time, 2) + '</b>.';
+    
+    if (before.charge !== after.charge || before.maxCharge !== after.maxCharge)
+        str += '<br><b>-</b> battery <b>+' + fix(before.charge, 2) + '/s</b> for <b>' + fix(before.maxCharge, 0) + 's</b> -> <b>+' + fix(after.charge, 2) + '/s</b> for <b>' + fix(after.maxCharge, 0) + 's</b>.';
+    
+    after.autoscripts.forEach(function(autoscript) {
+        var old = before.autoscripts.filter(function(a) {
+            return a.id == autoscript.id;
+        })[0];
+        
+        str += '<br><b>-</b> <b>' + autoscript.id + '</b> autoscript ';
         
-        if (args.indexOf('-q') > -1) {
-            qIndex = args.indexOf('-q');
+        if (old)
+            str += '<b>$' + fix(old.money, 0) + '/s</b>, <b>' + fix(old.exp, 0) + ' exp/s</b> -> ';
+        else
+            str += '(new) ';
+        
+        str += '<b>$' + fix(autoscript.money, 0) + '/s</b>, <b>' + fix(autoscript.exp, 0) + ' exp/s</b>.';
+    });
+    
+    return skidinc.console.print(str);
+};
+
+// payback time of one more level of every item that can still be bought: cost
+// divided by the autoscripts income per second it adds, Infinity if it adds none.
+// an empty battery has no effect, charged categories are then valued as if it
+// was full and their option is flagged charged.
+skidinc.buy.getPaybacks = function(category) {
+    var items = category.items ? category.items() : [undefined],
+        paybacks = [];
+    
+    items.forEach(function(item) {
+        var upgrade = skidinc.buy.getUpgrade(category, item),
+            quote = skidinc.buy.quote(upgrade, 1);
+        
+        if (quote.error == 'max' || (category.available && !category.available(item)))
+            return;
+        
+        var time = skidinc.battery.time,
+            charged = !!category.charged && time <= 0.01,
+            snapshots;
+        
+        try {
+            if (charged)
+                skidinc.battery.time = skidinc.battery.getMaxCharge();
             
-            if (isNaN(args[qIndex + 1]) && args[qIndex + 1] !== 'max')
-                return skidinc.console.print('<x>ERR</x> expected a number or \"max\" string after <b>-q</b> argument.');
-            if (!isNaN(args[qIndex + 1]))
-                amount = parseInt(args[qIndex + 1]);
-            if (args[qIndex + 1] == 'max')
-                amount = 'max';
+            snapshots = skidinc.buy.simulate(category, item, 1);
+        }
+        finally {
+            skidinc.battery.time = time;
         };
         
-        switch(c) {
-            case 'autoscript':
-                skidinc.autoscript.buy(item);
-                break;
-            
-            case 'script':
-                skidinc.script.buy(item);
-                break;
-            
-            case 'server':
-                skidinc.server.buy(item, amount);
-                break;
+        var gain = skidinc.buy.getIncome(snapshots.after).sub(skidinc.buy.getIncome(snapshots.before));
+        
+        paybacks.push({
+            category: category,
+            item: item,
+            name: category.id + (item ? ' ' + item : ''),
+            cost: quote.cost,
+            affordable: quote.error === null,
+            charged: charged,
+            gain: gain,
+            payback: gain.gt(0) ? quote.cost.div(gain).toNumber() : Infinity
+        });
+    });
+    
+    return paybacks;
+};
+
+skidinc.buy.formatPayback = function(payback, charged) {
+    if (payback === Infinity)
+        return 'never';
+    
+    return skidinc.offline.formatTime(payback) + (charged ? ' when charged' : '');
+};
+
+skidinc.buy.listPayback = function(category) {
+    if (!skidinc.options.roi || !category.upgrade)
+        return '';
+    
+    var paybacks = skidinc.buy.getPaybacks(category).filter(function(option) {
+        return option.payback !== Infinity;
+    }).map(function(option) {
+        return (option.item ? option.item + ' ' : '') + '<b>' + skidinc.buy.formatPayback(option.payback, option.charged) + '</b>';
+    });
+    
+    if (!paybacks.length)
+        return '';
+    
+    return '<br><b>*</b> payback: ' + paybacks.join(', ') + '.';
+};
+
+skidinc.buy.advise = function(args, flags) {
+    var options = [],
+        never = 0;
+    
+    skidinc.buy.categories.forEach(function(category) {
+        skidinc.buy.getPaybacks(category).forEach(function(option) {
+            if (!flags.a && !option.affordable)
+                return;
             
-            case 'battery':
-                skidinc.battery.buy();
-                break;
+            if (option.payback === Infinity)
+                never++;
+            else
+                options.push(option);
+        });
+    });
+    
+    if (!options.length && !never)
+        return skidinc.console.print('<x>ERR</x> you can\'t afford any purchase right now.');
+    
+    options.sort(function(a, b) {
+        return a.payback - b.payback;
+    });
+    
+    var str = '<y>ADVISE</y> purchases ranked by payback time (cost / autoscripts income gained):<br>';
+    
+    options.forEach(function(option, i) {
+        str += '<b>' + (i + 1) + '.</b> <z>' + option.name + '</z>: cost <b>$' + fix(option.cost, 0) + '</b>, ' +
+            '<b>+$' + fix(option.gain, 2) + '/s</b>, pays back in <b>' + skidinc.buy.formatPayback(option.payback, option.charged) + '</b>.<br>';
+    });
+    
+    if (never)
+        str += '<b>-</b> <b>' + never + '</b> other purchase' + (never == 1 ? '' : 's') + ' don\'t add autoscripts income right now.';
+    
+    return skidinc.console.print(str);
+};
 
-            case 'multiplier':
-                skidinc.player.buyMultiplier();
-                break;
-        };
-    };
+skidinc.buy.adviseHelp = function() {
+    var str = '<y>ADVISE HELP</y> rank purchases by how fast they pay for themselves:<br>' +
+        '<b>-</b> payback is the cost divided by the money per second the purchase adds to your autoscripts.<br>' +
+        '<b>-</b> battery upgrades are valued on a charged battery, marked <b>when charged</b> while yours is empty.<br>' +
+        '<b>-</b> only the purchases you can afford are ranked, add <b>-a/-all</b> to rank every one of them.<br>' +
+        '<b>-</b> <b>option roi enable</b> shows the payback times in <b>buy -l/-list</b>.';
+    
+    return skidinc.console.print(str);
 };
 
 skidinc.buy.init = function() {
     skidinc.buy.categories.forEach(function(i) {
-        skidinc.buy.secondArgs.push(i);
+        skidinc.buy.secondArgs.push(i.id);
     });
     
     skidinc.script.scripts.forEach(function(i) {
@@ -105,6 +520,25 @@ skidinc.buy.init = function() {
     });
     
     skidinc.server.servers.forEach(function(i) {
-        skidinc.buy.thirdArgs.push(i);
+        skidinc.buy.thirdArgs.push(i.id);
     });
 };
+
+skidinc.console.register({
+    id: 'buy',
+    desc: 'buy things such as new scripts, auto-scripts and servers.',
+    args: ['<category>', '[item]'],
+    flags: ['-q <number|max>', '--preview'],
+    handler: skidinc.buy.execute,
+    help: skidinc.buy.help,
+    list: skidinc.buy.list,
+    complete: [skidinc.buy.secondArgs, skidinc.buy.thirdArgs]
+});
+
+skidinc.console.register({
+    id: 'advise',
+    desc: 'rank purchases by payback time.',
+    flags: ['-a/-all'],
+    handler: skidinc.buy.advise,
+    help: skidinc.buy.adviseHelp
+});
@@ -0,0 +1,332 @@
+skidinc.challenge = {};
+skidinc.challenge.active = null;
+skidinc.challenge.completed = {};
+
+// a challenge restarts the run with restrictions until its goal (money earned
+// in the run) is reached. mult returns factors applied to the player money, exp
+// and time multipliers, limits caps the max level of buy categories, enter runs
+// after the reset. rewards are kept forever, prestiges included.
+skidinc.challenge.challenges = [{
+    id: 'nobattery',
+    name: 'Blackout',
+    desc: 'your battery has no effect and can\'t be upgraded.',
+    goal: 1e10,
+    mult: {
+        money: function() {
+            return 1 / skidinc.battery.getMoneyEffect();
+        },
+        exp: function() {
+            return 1 / skidinc.battery.getExpEffect();
+        },
+        time: function() {
+            return 1 / skidinc.battery.getTimeEffect();
+        }
+    },
+    limits: {
+        battery: 0
+    },
+    reward: {
+        kind: 'exp',
+        value: 0.25
+    }
+}, {
+    id: 'servercap',
+    name: 'Budget hosting',
+    desc: 'servers can\'t go past level 10.',
+    goal: 1e12,
+    limits: {
+        server: 10
+    },
+    enter: function() {
+        // the persistence botnet upgrade keeps server levels through the reset.
+        for (var id in skidinc.server.owned)
+            skidinc.server.owned[id] = Math.min(skidinc.server.owned[id], this.limits.server);
+    },
+    reward: {
+        kind: 'money',
+        value: 0.5
+    }
+}, {
+    id: 'slowscripts',
+    name: 'Dial-up',
+    desc: 'scripts take twice as long to execute.',
+    goal: 1e11,
+    mult: {
+        time: function() {
+            return 0.5;
+        }
+    },
+    reward: {
+        kind: 'time',
+        value: 0.1
+    }
+}, {
+    id: 'noautoscript',
+    name: 'Hands on',
+    desc: 'autoscripts are disabled, run every script yourself.',
+    goal: 1e9,
+    limits: {
+        autoscript: 0
+    },
+    enter: function() {
+        skidinc.autoscript.unlocked = skidinc.autoscript.unlocked.map(function() {
+            return false;
+        });
+    },
+    reward: {
+        kind: 'money',
+        value: 0.25
+    }
+}];
+
+skidinc.challenge.kinds = {
+    money: 'money mult.',
+    exp: 'exp mult.',
+    time: 'time mult.'
+};
+
+skidinc.challenge.getChallenge = function(id) {
+    for (var i = 0; i < skidinc.challenge.challenges.length; i++) {
+        if (skidinc.challenge.challenges[i].id == id)
+            return skidinc.challenge.challenges[i];
+    };
+
+    return null;
+};
+
+skidinc.challenge.getActive = function() {
+    return skidinc.challenge.active === null ? null : skidinc.challenge.getChallenge(skidinc.challenge.active);
+};
+
+skidinc.challenge.isCompleted = function(id) {
+    return !!skidinc.challenge.completed[id];
+};
+
+skidinc.challenge.setCompleted = function(completed) {
+    var obj = {};
+
+    skidinc.challenge.challenges.forEach(function(challenge) {
+        obj[challenge.id] = !!(completed && completed[challenge.id]);
+    });
+
+    skidinc.challenge.completed = obj;
+};
+
+// completed rewards times the modifier of the active challenge.
+skidinc.challenge.getMult = function(kind) {
+    var active = skidinc.challenge.getActive(),
+        mult = 1;
+
+    skidinc.challenge.challenges.forEach(function(challenge) {
+        if (skidinc.challenge.isCompleted(challenge.id) && challenge.reward.kind == kind)
+            mult *= 1 + challenge.reward.value;
+    });
+
+    if (active !== null && active.mult && active.mult[kind])
+        mult *= active.mult[kind]();
+
+    return mult;
+};
+
+// upgrade of a buy category item with the max level of the active challenge,
+// limited is set when the challenge lowered it.
+skidinc.challenge.limit = function(category, upgrade) {
+    var active = skidinc.challenge.getActive();
+
+    if (active === null || !active.limits || typeof active.limits[category.id] == 'undefined' || upgrade.max <= active.limits[category.id])
+        return upgrade;
+
+    return {
+        price: upgrade.price,
+        inflation: upgrade.inflation,
+        level: upgrade.level,
+        max: active.limits[category.id],
+        limited: true
+    };
+};
+
+skidinc.challenge.printLimit = function(name, upgrade) {
+    var active = skidinc.challenge.getActive();
+
+    if (upgrade.max <= 0)
+        return skidinc.console.print('<x>ERR</x> you can\'t buy <b>' + name + '</b> during the <b>' + active.name + '</b> challenge.');
+
+    return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is capped at <b>level ' + upgrade.max + '</b> during the <b>' + active.name + '</b> challenge.');
+};
+
+skidinc.challenge.getProgress = function() {
+    return skidinc.player.totalMoney.sub(skidinc.prestige.run.money);
+};
+
+skidinc.challenge.getRewardStr = function(challenge) {
+    return '+' + Math.round(challenge.reward.value * 100) + '% ' + skidinc.challenge.kinds[challenge.reward.kind];
+};
+
+skidinc.challenge.loop = function(times) {
+    var active = skidinc.challenge.getActive();
+
+    if (active === null || skidinc.challenge.getProgress().lt(active.goal))
+        return;
+
+    skidinc.challenge.active = null;
+    skidinc.challenge.completed[active.id] = true;
+
+    skidinc.events.emit('challenge:completed', {
+        challenge: active
+    });
+};
+
+skidinc.challenge.start = function(id) {
+    var challenge = skidinc.challenge.getChallenge(id);
+
+    if (challenge === null)
+        return skidinc.console.print('<x>ERR</x> <b>' + id + '</b> is not a challenge.');
+    if (skidinc.challenge.active !== null)
+        return skidinc.console.print('<x>ERR</x> you are already in the <b>' + skidinc.challenge.getActive().name + '</b> challenge, quit it first with <b>challenge -quit</b>.');
+    if (skidinc.challenge.isCompleted(id))
+        return skidinc.console.print('<x>ERR</x> you already completed the <b>' + challenge.name + '</b> challenge.');
+
+    var conf = confirm('Starting the "' + challenge.name + '" challenge resets your money, servers and scripts, it is not a prestige: your ' + fix(skidinc.prestige.botnetOnReset, 0) + ' pending botnets will not be granted!');
+
+    if (!conf)
+        return skidinc.console.print('<w>WARN</w> challenge start cancelled.');
+
+    skidinc.challenge.active = id;
+    skidinc.save.reset(false);
+
+    return skidinc.events.emit('challenge:started', {
+        challenge: challenge
+    });
+};
+
+skidinc.challenge.quit = function() {
+    var active = skidinc.challenge.getActive();
+
+    if (active === null)
+        return skidinc.console.print('<x>ERR</x> you are not in a challenge.');
+
+    skidinc.challenge.active = null;
+
+    return skidinc.events.emit('challenge:abandoned', {
+        challenge: active
+    });
+};
+
+// called on every prestige reset, a prestige keeps the challenge going.
+skidinc.challenge.prestige = function() {
+    var active = skidinc.challenge.getActive();
+
+    if (active !== null && active.enter)
+        active.enter();
+};
+
+skidinc.challenge.list = function() {
+    var str = '<y>CHALLENGES</y> start a run with restrictions, reach its goal to earn a permanent reward:<br>';
+
+    skidinc.challenge.challenges.forEach(function(challenge) {
+        str += '<b>-</b> <z>' + challenge.id + '</z> (' + challenge.name + '): ' + challenge.desc + ' Goal <b>$' + fix(challenge.goal, 0) + '</b>, reward <b>' + skidinc.challenge.getRewardStr(challenge) + '</b>.';
+
+        if (skidinc.challenge.isCompleted(challenge.id))
+            str += ' <b>Completed.</b>';
+        else if (skidinc.challenge.active == challenge.id)
+            str += ' <b>In progress</b> ($' + fix(skidinc.challenge.getProgress(), 0) + ').';
+
+        str += '<br>';
+    });
+
+    return skidinc.console.print(str);
+};
+
+skidinc.challenge.help = function() {
+    var str = '<y>CHALLENGE HELP</y> optional runs with restrictions:<br>' +
+        '<b>-</b> <b>challenge</b> alone or <b>challenge -l/-list</b> shows the challenges, their goal and reward.<br>' +
+        '<b>-</b> <b>challenge [challenge]</b> starts a challenge, it resets your run after a confirmation, without a prestige: no botnets earned and no history entry, prestige first to keep them.<br>' +
+        '<b>-</b> the goal is the money earned since the challenge started, prestiges keep the challenge going.<br>' +
+        '<b>-</b> <b>challenge -quit</b> leaves the current challenge without its reward.';
+
+    return skidinc.console.print(str);
+};
+
+skidinc.challenge.execute = function(args, flags) {
+    if (flags.quit)
+        return skidinc.challenge.quit();
+
+    if (!args.length)
+        return skidinc.challenge.list();
+
+    return skidinc.challenge.start(args[0]);
+};
+
+skidinc.challenge.render = function() {
+    skidinc.challenge.challenges.forEach(function(challenge) {
+        var completed = skidinc.challenge.isCompleted(challenge.id),
+            active = skidinc.challenge.active == challenge.id,
+            status = 'Goal $' + fix(challenge.goal, 0);
+
+        if (completed)
+            status = 'Completed';
+        else if (active)
+            status = '$' + fix(skidinc.challenge.getProgress(), 0) + '/$' + fix(challenge.goal, 0);
+
+        $('#challenge-' + challenge.id + ' #status').html(status);
+        $('#challenge-' + challenge.id + ' .btn').html(active ? 'Quit' : 'Start')
+            .toggleClass('disabled', completed || (skidinc.challenge.active !== null && !active));
+    });
+};
+
+skidinc.challenge.domInit = function() {
+    var str = '';
+
+    skidinc.challenge.challenges.forEach(function(challenge) {
+        str += '<div id="challenge-' + challenge.id + '" class="stat-container">' +
+            '<div class="names">' +
+                '<p><span data-toggle="tooltip" data-placement="top" title="' + challenge.desc + '">' + challenge.name + ' <i class="fa fa-info-circle" aria-hidden="true"></i></span></p>' +
+                '<p><a class="btn btn-outline-info btn-sm" role="button" data-challenge="' + challenge.id + '">Start</a></p>' +
+            '</div>' +
+            '<div class="content">' +
+                '<p id="status"></p>' +
+                '<p>' + skidinc.challenge.getRewardStr(challenge) + '</p>' +
+            '</div>' +
+        '</div>';
+    });
+
+    $('#challenges').html(str);
+
+    $('#challenges .btn').on('click', function() {
+        var id = $(this).data('challenge');
+
+        if (skidinc.challenge.active == id)
+            return skidinc.challenge.quit();
+
+        skidinc.challenge.start(id);
+    });
+};
+
+skidinc.challenge.init = function() {
+    skidinc.challenge.setCompleted(skidinc.challenge.completed);
+};
+
+skidinc.challenge.serialize = function() {
+    return {
+        active: skidinc.challenge.active,
+        completed: skidinc.challenge.completed
+    };
+};
+
+skidinc.challenge.deserialize = function(data) {
+    skidinc.challenge.setCompleted(data.completed);
+    skidinc.challenge.active = data.active;
+};
+
+skidinc.console.register({
+    id: 'challenge',
+    desc: 'start runs with restrictions for permanent rewards.',
+    args: ['[challenge]'],
+    flags: ['-quit'],
+    handler: skidinc.challenge.execute,
+    help: skidinc.challenge.help,
+    list: skidinc.challenge.list,
+    complete: [skidinc.challenge.challenges.map(function(challenge) {
+        return challenge.id;
+    })]
+});
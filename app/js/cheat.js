@@ -69,3 +69,13 @@ skidinc.cheat.execute = function(args) {
 
     return entry.exec();
 };
+
+skidinc.console.register({
+    id: 'cheat',
+    desc: 'use a cheat code.',
+    args: ['<code>'],
+    handler: skidinc.cheat.execute,
+    help: skidinc.cheat.help,
+    list: skidinc.cheat.list,
+    complete: [Object.keys(skidinc.cheat.codes)]
+});
@@ -3,86 +3,30 @@ skidinc.console.typeSpeed = -50;
 skidinc.console.inputEnabled = true;
 skidinc.console.isTyping = false;
 
-skidinc.console.notAccepted = ['<', '>', '[', ']', '(', ')', ',', ';', '/', '\\', '\'', '"'];
+skidinc.console.notAccepted = ['<', '>', '[', ']', '(', ')', ',', '/', '\\', '\'', '"'];
 
 skidinc.console.history = [];
+skidinc.console.maxHistory = 100;
 skidinc.console.posInHistory = -1;
 
+// user shortcuts, name => command line (macros chain commands with ';').
+skidinc.console.aliases = {};
+skidinc.console.macros = {};
+skidinc.console.maxDepth = 10;
+
 skidinc.console.divs = -1;
 skidinc.console.divHeight = -1;
 
 skidinc.console.grammarly = false;
 
-skidinc.console.commands = [{
-    id: 'help',
-    desc: 'show a list of available commands.',
-    effect: 'skidinc.console.help()',
-    requireArg: false,
-    supportList: false,
-    supportHelp: false
-}, {
-    id: 'clear',
-    desc: 'remove all the logs from the terminal.',
-    effect: 'skidinc.console.clear()',
-    requireArg: false,
-    supportList: false,
-    supportHelp: false
-}, {
-    id: 'username',
-    desc: 'set your username, can only be used in the tutorial.',
-    effect: 'skidinc.player.setUsername',
-    requireArg: true,
-    argsType: ['base', 'string'],
-    supportList: false,
-    supportHelp: false
-}, {
-    id: 'script',
-    desc: 'execute a script.',
-    effect: 'skidinc.script.execute',
-    requireArg: true,
-    argsType: ['base', 'string'],
-    supportList: true,
-    listExec: 'skidinc.script.list',
-    supportHelp: true,
-    helpExec: 'skidinc.script.help'
-}, {
-    id: 'buy',
-    desc: 'buy things such as new scripts, auto-scripts and servers.',
-    effect: 'skidinc.buy.execute',
-    requireArg: true,
-    argsType: ['base', 'string'],
-    supportList: true,
-    listExec: 'skidinc.buy.list',
-    supportHelp: true,
-    helpExec: 'skidinc.buy.help'
-}, {
-    id: 'option',
-    desc: 'change in-game options.',
-    effect: 'skidinc.options.execute',
-    requireArg: true,
-    argsType: ['base', 'string', 'string'],
-    supportList: true,
-    listExec: 'skidinc.options.list',
-    supportHelp: true,
-    helpExec: 'skidinc.options.help'
-}, {
-    id: 'achievements',
-    desc: 'take a look on your progression.',
-    effect: 'skidinc.achievements.list()',
-    requireArg: false,
-    supportList: false,
-    supportHelp: false
-}, {
-    id: 'cheat',
-    desc: 'use a cheat code.',
-    effect: 'skidinc.cheat.execute',
-    requireArg: true,
-    argsType: ['base', 'string'],
-    supportList: true,
-    listExec: 'skidinc.cheat.list',
-    supportHelp: true,
-    helpExec: 'skidinc.cheat.help'
-}];
+// terminal habits tracked for the secret achievements.
+skidinc.console.counters = {
+    unknown: 0,
+    clear: 0
+};
+
+// registered commands, see skidinc.console.register.
+skidinc.console.commands = [];
 
 skidinc.console.checkStr = function(str) {
     for (var i = 0; i < this.notAccepted.length; i++) {
@@ -109,24 +53,201 @@ skidinc.console.autoScroll = function() {
 };
 
 skidinc.console.commandExist = function(base) {
-    var exists,
-        index,
-        obj = {};
+    var obj = {
+        exists: false,
+        index: null
+    };
     
-    for (var cmd in this.commands) {
-        var i = cmd,
-            cmd = this.commands[cmd];
-        
-        obj.exists = (cmd.id == base) ? true : false;
-        obj.index = (cmd.id == base) ? i : null;
-        
-        if (obj.exists)
+    for (var i = 0; i < this.commands.length; i++) {
+        if (this.commands[i].id == base) {
+            obj.exists = true;
+            obj.index = i;
+            
             return obj;
+        };
     };
     
     return obj;
 };
 
+// '<name>' is a required argument, '[name]' an optional one, types follow a colon:
+// '<amount:number>', '<amount:number|max>' (a type is number, string or a literal keyword).
+// a last '<name...>' argument takes the rest of the command as a raw string.
+skidinc.console.parseArg = function(spec) {
+    var match = /^(<|\[)([a-z0-9-]+)(?::([a-z0-9|-]+))?(\.\.\.)?(>|\])$/i.exec(spec);
+    
+    if (match == null || (match[1] == '<') !== (match[5] == '>'))
+        throw new Error('skidinc.console.register: invalid argument spec "' + spec + '"');
+    
+    return {
+        name: match[2],
+        types: (match[3] || 'string').split('|'),
+        optional: match[1] == '[',
+        rest: typeof match[4] !== 'undefined'
+    };
+};
+
+// '-c/-cancel' is a switch, '-q <number|max>' a flag expecting a value.
+skidinc.console.parseFlag = function(spec) {
+    var match = /^(--?[a-z][a-z0-9-]*(?:\/--?[a-z][a-z0-9-]*)*)(?: <([a-z0-9|-]+)>)?$/i.exec(spec);
+    
+    if (match == null)
+        throw new Error('skidinc.console.register: invalid flag spec "' + spec + '"');
+    
+    var names = match[1].split('/');
+    
+    return {
+        id: names[0].replace(/^-+/, ''),
+        names: names,
+        types: match[2] ? match[2].split('|') : null
+    };
+};
+
+// returns the converted value if it matches one of the types, undefined otherwise.
+skidinc.console.matchType = function(value, types) {
+    if (typeof value !== 'string' || value == '')
+        return;
+    
+    for (var i = 0; i < types.length; i++) {
+        if (types[i] == 'number' && !isNaN(value))
+            return Number(value);
+        if (types[i] == 'string' && isNaN(value))
+            return value;
+        if (types[i] == value)
+            return value;
+    };
+};
+
+skidinc.console.describeTypes = function(types) {
+    return types.map(function(type) {
+        return (type == 'number' || type == 'string') ? '<b>' + type + '</b>' : '<b>"' + type + '"</b>';
+    }).join(' or ');
+};
+
+/**
+ * Registers a console command:
+ *     skidinc.console.register({
+ *         id: 'buy',
+ *         desc: 'buy things.',
+ *         args: ['<category>', '[item]'],
+ *         flags: ['-q <number|max>'],
+ *         handler: function(args, flags) {},
+ *         help: function() {},
+ *         list: function() {},
+ *         complete: [secondArgs, thirdArgs]
+ *     });
+ * Arguments and flags are validated before the handler is called, it gets
+ * the positional values and an object of flags keyed by their first name without
+ * dashes (flags.q for '-q', flags.preview for '--preview').
+ * help and list are optional, they make the command support -h/-help and -l/-list.
+ * complete holds the autocomplete candidates of each argument, chain: false makes
+ * the command take the rest of the line instead of splitting it on ';'.
+ */
+skidinc.console.register = function(def) {
+    if (typeof def !== 'object' || typeof def.id !== 'string' || !/^[a-z0-9-]+$/i.test(def.id))
+        throw new Error('skidinc.console.register: a command needs an alphanumeric id');
+    
+    if (typeof def.handler !== 'function')
+        throw new Error('skidinc.console.register: ' + def.id + ' command needs a handler function');
+    
+    if (skidinc.console.commandExist(def.id).exists)
+        throw new Error('skidinc.console.register: ' + def.id + ' command is already registered');
+    
+    var command = {
+        id: def.id,
+        desc: def.desc || '',
+        args: (def.args || []).map(skidinc.console.parseArg),
+        flags: (def.flags || []).map(skidinc.console.parseFlag),
+        handler: def.handler,
+        help: (typeof def.help == 'function') ? def.help : null,
+        list: (typeof def.list == 'function') ? def.list : null,
+        complete: def.complete || [],
+        chain: def.chain !== false
+    };
+    
+    command.args.forEach(function(arg, i) {
+        if (arg.rest && i !== command.args.length - 1)
+            throw new Error('skidinc.console.register: ' + def.id + ' rest argument must be the last one');
+    });
+    
+    command.required = command.args.filter(function(arg) {
+        return !arg.optional;
+    }).length;
+    
+    skidinc.console.commands.push(command);
+    
+    return command;
+};
+
+skidinc.console.getFlag = function(command, name) {
+    for (var i = 0; i < command.flags.length; i++) {
+        if (command.flags[i].names.indexOf(name) > -1)
+            return command.flags[i];
+    };
+    
+    return null;
+};
+
+// check args against the command schema, returns { args, flags } or an error string.
+skidinc.console.validate = function(command, parts) {
+    var args = [],
+        flags = {};
+    
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i],
+            next = command.args[args.length];
+        
+        if (next && next.rest) {
+            args.push(parts.slice(i).join(' '));
+            break;
+        };
+        
+        if (part.charAt(0) !== '-' || !isNaN(part)) {
+            args.push(part);
+            continue;
+        };
+        
+        var flag = skidinc.console.getFlag(command, part);
+        
+        if (flag == null)
+            return '<x>ERR</x> <b>' + command.id + '</b> command doesn\'t support the <b>' + part + '</b> argument.';
+        
+        if (flag.types == null) {
+            flags[flag.id] = true;
+            continue;
+        };
+        
+        var value = skidinc.console.matchType(parts[i + 1], flag.types);
+        
+        if (typeof value == 'undefined')
+            return '<x>ERR</x> expected ' + skidinc.console.describeTypes(flag.types) + ' after <b>' + part + '</b> argument.';
+        
+        flags[flag.id] = value;
+        i++;
+    };
+    
+    if (args.length < command.required)
+        return '<x>ERR</x> an argument is missing.';
+    
+    if (args.length > command.args.length)
+        return '<x>ERR</x> <b>' + command.id + '</b> takes at most <b>' + command.args.length + '</b> argument(s).';
+    
+    for (var e = 0; e < args.length; e++) {
+        var arg = command.args[e],
+            converted = arg.rest ? args[e] : skidinc.console.matchType(args[e], arg.types);
+        
+        if (typeof converted == 'undefined')
+            return '<x>ERR</x> expected an argument of type ' + skidinc.console.describeTypes(arg.types) + ' in command <b>' + command.id + '</b>, instead got argument <b>' + args[e] + '</b>.';
+        
+        args[e] = converted;
+    };
+    
+    return {
+        args: args,
+        flags: flags
+    };
+};
+
 skidinc.console.help = function() {
     var str = '<y>HELP</y> you can type <b>[command] -help</b> to get a specific help of a command:<br>';
     
@@ -148,81 +269,222 @@ skidinc.console.help = function() {
 };
 
 skidinc.console.parse = function() {
-    var str = document.querySelector('[contenteditable]').textContent,
-        isStrClean = this.checkStr(str),
-        parts = str.split(' '),
-        base = parts[0],
-        exists = this.commandExist(base).exists,
-        index = this.commandExist(base).index,
-        command = (typeof this.commands[index] == 'object') ? this.commands[index]: null;
+    var str = document.querySelector('[contenteditable]').textContent;
     
     document.querySelector('[contenteditable]').textContent = "";
     
     skidinc.console.history.unshift(str);
+    skidinc.console.history.splice(skidinc.console.maxHistory);
     skidinc.console.posInHistory = -1;
     
     if (!this.inputEnabled)
         return;
     
-    if (!isStrClean)
+    return this.execute(str);
+};
+
+// split a command line on ';', unless a command takes the rest of the line.
+skidinc.console.split = function(str) {
+    var parts = str.split(';'),
+        lines = [];
+    
+    for (var i = 0; i < parts.length; i++) {
+        var base = parts[i].trim().split(/\s+/)[0],
+            index = this.commandExist(base).index;
+        
+        if (index !== null && !this.commands[index].chain) {
+            lines.push(parts.slice(i).join(';'));
+            break;
+        };
+        
+        lines.push(parts[i]);
+    };
+    
+    // allow 'a; b;' and 'a;; b'
+    if (lines.length > 1) {
+        lines = lines.filter(function(line) {
+            return line.trim() !== '';
+        });
+    };
+    
+    return lines;
+};
+
+// run a command line (commands chained with ';'), without touching the input.
+skidinc.console.execute = function(str, depth) {
+    if (!this.checkStr(str))
         return this.print('<w>WARN</w> you can\'t send commands with special characters.');
     
+    var lines = this.split(str);
+    
+    for (var i = 0; i < lines.length; i++)
+        this.run(lines[i], depth || 0);
+};
+
+skidinc.console.run = function(line, depth) {
+    var parts = line.trim().split(/\s+/),
+        base = parts[0],
+        args = parts.slice(1),
+        index = this.commandExist(base).index,
+        command = (index !== null) ? this.commands[index] : null;
+    
     if (base == '')
         return this.print('<x>ERR</x> you can\'t send empty commands.');
-    if (!exists)
+    
+    if (depth > this.maxDepth)
+        return this.print('<x>ERR</x> too many nested aliases or macros, stopped at <b>' + base + '</b>.');
+    
+    if (command == null && skidinc.console.hasShortcut(this.aliases, base))
+        return this.run([this.aliases[base]].concat(args).join(' '), depth + 1);
+    
+    if (command == null && skidinc.console.hasShortcut(this.macros, base)) {
+        if (args.length)
+            return this.print('<x>ERR</x> <b>' + base + '</b> macro doesn\'t take any argument.');
+        
+        return this.execute(this.macros[base], depth + 1);
+    };
+    
+    if (command == null) {
+        skidinc.console.counters.unknown++;
+        skidinc.events.emit('console:unknown', {
+            command: base
+        });
+        
         return this.print('<x>ERR</x> <b>' + base + '</b> is an unknown command.');
+    };
     
     // first we check if the player put args or not, and if needed or not.
-    if (!command.requireArg && parts.length > 1)
+    if (!command.args.length && !command.flags.length && !command.help && !command.list && args.length)
         return this.print('<x>ERR</x> <b>' + base + '</b> doesn\'t take any argument.');
-    if (command.requireArg && parts.length == 1)
+    if (command.required && !args.length)
         return this.print('<x>ERR</x> <b>' + base + '</b> require argument(s).');
     
-    // if no args: simple command
-    if (!command.requireArg && parts.length == 1)
-        return eval(command.effect);
+    // a rest argument may contain -h/-l of another command, only the first argument is checked then
+    var checked = command.args.some(function(arg) {
+        return arg.rest;
+    }) ? args.slice(0, 1) : args;
     
     // if support help
-    if ((parts.indexOf('-h') > -1 || parts.indexOf('-help') > -1) && !command.supportHelp)
+    if ((checked.indexOf('-h') > -1 || checked.indexOf('-help') > -1) && !command.help)
         return this.print('<x>ERR</x> <b>' + base + '</b> command doesn\'t support the <b>-h/-help</b> argument.');
-    if ((parts.indexOf('-h') > 1 || parts.indexOf('-help') > 1) && command.supportHelp)
+    if ((checked.indexOf('-h') > -1 || checked.indexOf('-help') > -1) && args.length > 1)
         return this.print('<w>WARN</w> <b>-h/-help</b> argument must be the unique argument in the command.');
-    if ((parts.indexOf('-h') == 1 || parts.indexOf('-help') == 1) && command.supportHelp)
-        return eval(command.helpExec)();
+    if (args[0] == '-h' || args[0] == '-help')
+        return command.help();
     
-    // if support list
-    if ((parts.indexOf('-l') > -1 || parts.indexOf('-list') > -1) && !command.supportList)
+    // if support list, commands declaring their own -l flag handle it past the first argument
+    if (skidinc.console.getFlag(command, '-l') !== null)
+        checked = [];
+    
+    if ((checked.indexOf('-l') > -1 || checked.indexOf('-list') > -1) && !command.list)
         return this.print('<x>ERR</x> <b>' + base + '</b> command doesn\'t support the <b>-l/-list</b> argument.');
-    if ((parts.indexOf('-l') > 1 || parts.indexOf('-list') > 1) && command.supportList)
+    if ((checked.indexOf('-l') > -1 || checked.indexOf('-list') > -1) && args.length > 1)
         return this.print('<w>WARN</w> <b>-l/-list</b> argument must be the unique argument in the command.');
-    if ((parts.indexOf('-l') == 1 || parts.indexOf('-list') == 1) && command.supportList)
-        return eval(command.listExec)();
+    if (args[0] == '-l' || args[0] == '-list')
+        return command.list();
+    
+    var result = skidinc.console.validate(command, args);
+    
+    if (typeof result == 'string')
+        return this.print(result);
+    
+    skidinc.events.emit('console:command', {
+        command: command.id,
+        args: result.args
+    });
     
-    // check args count
-    if (parts.length < command.argsType.length)
-        return this.print('<x>ERR</x> an argument is missing.');
+    return command.handler(result.args, result.flags);
+};
+
+skidinc.console.shortcuts = {
+    alias: {
+        store: 'aliases',
+        other: 'macro',
+        usage: 'alias [name] [command]'
+    },
+    macro: {
+        store: 'macros',
+        other: 'alias',
+        usage: 'macro [name] [command; command...]'
+    }
+};
+
+// stores are plain objects filled with user names, never call their own methods.
+skidinc.console.hasShortcut = function(store, name) {
+    return Object.prototype.hasOwnProperty.call(store, name);
+};
+
+skidinc.console.isShortcutName = function(name) {
+    return /^[a-z0-9_-]+$/.test(name) && !(name in Object.prototype);
+};
+
+skidinc.console.listShortcuts = function(type) {
+    var store = skidinc.console[skidinc.console.shortcuts[type].store],
+        names = Object.keys(store),
+        str = '<y>' + type.toUpperCase() + ' LIST</y>:<br>';
     
-    // args handling
-    if (typeof command.argsType == 'object' && command.argsType.length) {
-        var toPass = [];
+    if (!names.length)
+        return skidinc.console.print(str + '<b>-</b> nothing defined yet, create one with <b>' + skidinc.console.shortcuts[type].usage + '</b>.');
+    
+    names.forEach(function(name) {
+        str += '<b>-</b> <z>' + name + '</z>: ' + store[name] + '<br>';
+    });
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.console.defineShortcut = function(type, args, flags) {
+    var shortcut = skidinc.console.shortcuts[type],
+        store = skidinc.console[shortcut.store],
+        other = skidinc.console[skidinc.console.shortcuts[shortcut.other].store],
+        name = args[0],
+        body = args[1];
+    
+    if (typeof name == 'undefined')
+        return skidinc.console.listShortcuts(type);
+    
+    if (flags.d) {
+        if (!skidinc.console.hasShortcut(store, name))
+            return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is not a known ' + type + '.');
         
-        for (var i = 0; i < command.argsType.length; i++) {
-            var arg = parts[i],
-                isNan = isNaN(arg);
-            
-            if (command.argsType[i] == 'base')
-                continue;
-            
-            if (command.argsType[i] == 'number' && isNan)
-                return this.print('<x>ERR</x> expected an argument of type <b>number</b> in command <b>' + base + '</b>, instead got argument <b>' + arg + '</b>.');
-            
-            if (command.argsType[i] == 'string' && !isNan)
-                return this.print('<x>ERR</x> expected an argument of type <b>string</b> in command <b>' + base + '</b>, instead got argument <b>' + arg + '</b>.');
-            
-            if (i == command.argsType.length - 1)
-                return eval(command.effect)(parts.splice(1, parts.length));
-        };
+        delete store[name];
+        
+        return skidinc.console.print('<z>' + type.toUpperCase() + '</z> <b>' + name + '</b> removed.');
     };
+    
+    if (typeof body == 'undefined') {
+        if (!skidinc.console.hasShortcut(store, name))
+            return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is not a known ' + type + ', create it with <b>' + shortcut.usage + '</b>.');
+        
+        return skidinc.console.print('<z>' + type.toUpperCase() + '</z> <b>' + name + '</b> runs <b>' + store[name] + '</b>.');
+    };
+    
+    if (!skidinc.console.isShortcutName(name))
+        return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is not a valid ' + type + ' name, use lowercase letters, digits, <b>_</b> and <b>-</b>.');
+    
+    if (skidinc.console.commandExist(name).exists)
+        return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is already a command.');
+    
+    if (skidinc.console.hasShortcut(other, name))
+        return skidinc.console.print('<x>ERR</x> <b>' + name + '</b> is already a ' + shortcut.other + ', remove it first with <b>' + shortcut.other + ' -d ' + name + '</b>.');
+    
+    store[name] = body.split(';').map(function(line) {
+        return line.trim();
+    }).filter(function(line) {
+        return line !== '';
+    }).join('; ');
+    
+    return skidinc.console.print('<z>' + type.toUpperCase() + '</z> <b>' + name + '</b> now runs <b>' + store[name] + '</b>.');
+};
+
+skidinc.console.helpShortcuts = function() {
+    var str = '<y>ALIAS/MACRO HELP</y> create shortcuts for the commands you type often:<br>' +
+        '<b>-</b> <b>alias [name] [command]</b> makes <b>name</b> run <b>command</b>, extra arguments are appended (<b>alias bs buy server</b>, then <b>bs web -q max</b>).<br>' +
+        '<b>-</b> <b>macro [name] [command; command...]</b> makes <b>name</b> run several commands (<b>macro up buy server web -q max; buy battery</b>).<br>' +
+        '<b>-</b> you can also chain commands directly with <b>;</b>.<br>' +
+        '<b>-</b> type <b>alias [name]</b> to see what it runs, remove it with <b>-d/-delete</b> and list them with <b>-l/-list</b>.';
+    
+    return skidinc.console.print(str);
 };
 
 skidinc.console.print = function(str, callback, force) {
@@ -257,6 +519,9 @@ skidinc.console.print = function(str, callback, force) {
 
 skidinc.console.clear = function() {
     $('#logs').empty();
+    
+    skidinc.console.counters.clear++;
+    skidinc.events.emit('console:clear');
 };
 
 skidinc.console.navigateHistory = function(how) {
@@ -294,64 +559,146 @@ skidinc.console.navigateHistory = function(how) {
 };
 
 skidinc.console.autocomplete = function() {
-    var str = document.querySelector('[contenteditable]').textContent,
+    var input = document.querySelector('[contenteditable]').textContent,
+        str = input.substr(input.lastIndexOf(';') + 1).replace(/^\s+/, ''),
+        prefix = input.substr(0, input.length - str.length),
         parts = str.split(' '),
         el = (!skidinc.tutorial.finish && skidinc.tutorial.enabled) ? '#intro-input' : '#command-input';
     
+    var complete = function(str) {
+        document.querySelector('[contenteditable]').textContent = prefix + str;
+        $(el).caret('pos', (prefix + str).length);
+    };
+    
     if (parts.length == 1) {
-        skidinc.console.commands.forEach(function(cmd) {
+        var names = skidinc.console.commands.map(function(cmd) {
+            return cmd.id;
+        }).concat(Object.keys(skidinc.console.aliases), Object.keys(skidinc.console.macros));
+        
+        names.forEach(function(name) {
             if (str.length <= 1)
                 return;
             
-            if (cmd.id.indexOf(parts[0]) > -1) {
-                document.querySelector('[contenteditable]').textContent = cmd.id;
-                $(el).caret('pos', cmd.id.length);
-            };
+            if (name.indexOf(parts[0]) > -1)
+                complete(name);
         });
+        
+        return;
     };
     
-    var command = (parts[0] == 'option') ? 'options' : parts[0];
+    // complete arguments of the command an alias stands for
+    var resolved = parts,
+        depth = 0;
     
-    if (parts.length == 2) {
-        var secondArgs = (typeof skidinc[command].secondArgs == 'object') ? skidinc[command].secondArgs : undefined;
-        
-        if (typeof secondArgs == 'undefined')
+    while (skidinc.console.hasShortcut(skidinc.console.aliases, resolved[0]) && depth++ < skidinc.console.maxDepth)
+        resolved = skidinc.console.aliases[resolved[0]].split(' ').concat(resolved.slice(1));
+    
+    var index = skidinc.console.commandExist(resolved[0]).index,
+        candidates = (index !== null) ? skidinc.console.commands[index].complete[resolved.length - 2] : undefined,
+        last = parts[parts.length - 1];
+    
+    if (typeof candidates !== 'object' || last.length <= 1)
+        return;
+    
+    candidates.forEach(function(i) {
+        if (i.indexOf(last) > -1)
+            complete(parts.slice(0, -1).concat(i).join(' '));
+    });
+};
+
+skidinc.console.render = function() {
+    skidinc.console.autoScroll();
+};
+
+skidinc.console.init = function() {
+    skidinc.events.on('script:started', function(data) {
+        skidinc.console.print('<z>SCRIPT STARTED</z>: <b>' + data.script.id + '</b>.');
+    });
+    
+    skidinc.events.on('script:stopped', function(data) {
+        skidinc.console.print('<y>SCRIPT STOPPED</y>: <b>' + data.script.id + '</b>.');
+    });
+    
+    skidinc.events.on('script:finished', function(data) {
+        if (data.auto)
             return;
         
-        secondArgs.forEach(function(i) {
-            if (parts[1].length <= 1)
-                return;
-            
-            if (i.indexOf(parts[1]) > -1) {
-                var str = parts[0] + ' ' + i;
-                document.querySelector('[contenteditable]').textContent = str;
-                $(el).caret('pos', str.length);
-            };
-        });
-    };
+        skidinc.console.print('<y>SCRIPT FINISHED</y>: <b>' + data.script.id + '</b> just finished its execution, you earned <b>$' + fix(data.money, 0) + '</b> and <b>' + fix(data.exp, 0) + ' exp</b>.');
+    });
+    
+    skidinc.events.on('player:levelup', function(data) {
+        if (!data.silent)
+            skidinc.console.print('<z>LEVEL-UP!</z> You are now level <b>' + data.level + '</b>!');
+    });
     
-    if (parts.length == 3) {
-        var secondArg = parts[1],
-            thirdArgs = (typeof skidinc[command].thirdArgs == 'object') ? skidinc[command].thirdArgs : undefined;
+    skidinc.events.on('purchase:script', function(data) {
+        skidinc.console.print('You bought <b>' + data.script.id + '</b> script.');
+    });
+    
+    skidinc.events.on('purchase:autoscript', function(data) {
+        skidinc.console.print('You bought <b>' + data.script.id + '</b> autoscript.');
+    });
+    
+    skidinc.events.on('purchase:server', function(data) {
+        if (data.amount == 1)
+            return skidinc.console.print('<z>SERVER</z> you successfully upgraded your <b>' + data.server.id + '</b> server.');
         
-        if (typeof thirdArgs == 'undefined')
+        skidinc.console.print('<z>SERVER</z> you successfully upgraded your <b>' + data.server.id + '</b> server by <b>' + data.amount + ' levels</b>, it cost you <b>$' + fix(data.cost, 0) + '</b>.');
+    });
+    
+    skidinc.events.on('purchase:battery', function(data) {
+        if (data.amount > 1)
+            return skidinc.console.print('<z>BATTERY</z> you successfully upgraded your battery to <b>level ' + data.level + '</b>, it cost you <b>$' + fix(data.cost, 0) + '</b>.');
+        
+        skidinc.console.print('<z>BATTERY</z> you successfully upgraded your battery to <b>level ' + data.level + '</b>.');
+    });
+    
+    skidinc.events.on('purchase:multiplier', function(data) {
+        if (data.amount > 1)
+            return skidinc.console.print('Multiplier upgraded to <b>lvl ' + data.level + '</b> (boost x' + fix(skidinc.player.getMultiplierBoost(), 2) + '), it cost you <b>$' + fix(data.cost, 0) + '</b>.');
+        
+        skidinc.console.print('Multiplier upgraded to <b>lvl ' + data.level + '</b> (boost x' + fix(skidinc.player.getMultiplierBoost(), 2) + ').');
+    });
+    
+    skidinc.events.on('purchase:slot', function(data) {
+        skidinc.console.print('<z>SLOT</z> you can now run <b>' + data.slots + ' scripts</b> at once.');
+    });
+    
+    skidinc.events.on('purchase:botnet', function(data) {
+        skidinc.console.print('<z>BOTNET</z> <b>' + data.upgrade.name + '</b> upgraded to <b>lvl ' + data.level + '</b> for <b>' + fix(data.cost, 0) + ' botnets</b>.');
+    });
+    
+    skidinc.events.on('prestige:reset', function(data) {
+        if (data.run === null)
             return;
         
-        thirdArgs.forEach(function(i) {
-            if (parts[2].length <= 1)
-                return;
-            
-            if (i.indexOf(parts[2]) > -1) {
-                var str = parts[0] + ' ' + parts[1] + ' ' + i;
-                document.querySelector('[contenteditable]').textContent = str;
-                $(el).caret('pos', str.length);
-            };
-        });
-    };
-};
-
-skidinc.console.loop = function(times) {
-    skidinc.console.autoScroll();
+        skidinc.console.print('<z>PRESTIGE</z> you earned <b>' + fix(data.gained, 0) + ' botnets</b>, you now have <b>' + fix(data.botnet, 0) + '</b>. A new run begins.');
+    });
+    
+    skidinc.events.on('challenge:started', function(data) {
+        skidinc.console.print('<z>CHALLENGE</z> <b>' + data.challenge.name + '</b> started: ' + data.challenge.desc + ' Earn <b>$' + fix(data.challenge.goal, 0) + '</b> to complete it.');
+    });
+    
+    skidinc.events.on('challenge:completed', function(data) {
+        skidinc.console.print('<z>CHALLENGE</z> you completed <b>' + data.challenge.name + '</b>, you earned a permanent <b>' + skidinc.challenge.getRewardStr(data.challenge) + '</b>.');
+    });
+    
+    skidinc.events.on('challenge:abandoned', function(data) {
+        skidinc.console.print('<z>CHALLENGE</z> you left <b>' + data.challenge.name + '</b>, its restrictions are lifted.');
+    });
+    
+    skidinc.events.on('achievement:unlocked', function(data) {
+        var str = '<y>ACHIEVEMENT</y> you earned a new achievement: <b>' + data.achievement.name + ', ' + data.achievement.desc.toLowerCase() + '</b>';
+        
+        if (data.achievement.reward !== null)
+            str += ' Reward: <b>' + skidinc.achievements.getRewardStr(data.achievement.reward) + '</b>';
+        
+        skidinc.console.print(str);
+    });
+    
+    skidinc.events.on('offline:report', function(report) {
+        skidinc.offline.print(report);
+    });
 };
 
 skidinc.console.domInit = function() {
@@ -360,3 +707,66 @@ skidinc.console.domInit = function() {
         skidinc.console.grammarly = true;
     };
 };
+
+skidinc.console.serialize = function() {
+    return {
+        grammarly: skidinc.console.grammarly,
+        history: skidinc.console.history,
+        aliases: skidinc.console.aliases,
+        macros: skidinc.console.macros,
+        counters: skidinc.console.counters
+    };
+};
+
+skidinc.console.deserialize = function(data) {
+    skidinc.console.grammarly = data.grammarly;
+    skidinc.console.history = data.history;
+    skidinc.console.aliases = data.aliases;
+    skidinc.console.macros = data.macros;
+    skidinc.console.counters = data.counters;
+};
+
+skidinc.console.register({
+    id: 'help',
+    desc: 'show a list of available commands.',
+    handler: function() {
+        return skidinc.console.help();
+    }
+});
+
+skidinc.console.register({
+    id: 'clear',
+    desc: 'remove all the logs from the terminal.',
+    handler: function() {
+        return skidinc.console.clear();
+    }
+});
+
+skidinc.console.register({
+    id: 'alias',
+    desc: 'create a shortcut for a command.',
+    args: ['[name]', '[command...]'],
+    flags: ['-d/-delete'],
+    handler: function(args, flags) {
+        return skidinc.console.defineShortcut('alias', args, flags);
+    },
+    help: skidinc.console.helpShortcuts,
+    list: function() {
+        return skidinc.console.listShortcuts('alias');
+    }
+});
+
+skidinc.console.register({
+    id: 'macro',
+    desc: 'create a shortcut running several commands.',
+    args: ['[name]', '[commands...]'],
+    flags: ['-d/-delete'],
+    handler: function(args, flags) {
+        return skidinc.console.defineShortcut('macro', args, flags);
+    },
+    help: skidinc.console.helpShortcuts,
+    list: function() {
+        return skidinc.console.listShortcuts('macro');
+    },
+    chain: false
+});
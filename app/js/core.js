@@ -1,19 +1,32 @@
 var skidinc = {};
 skidinc.fps = 20;
 skidinc.interval = 1000 / skidinc.fps;
-skidinc.version = 0.34;
+skidinc.version = 0.46;
 
 skidinc.before = new Date().getTime();
 skidinc.now = new Date().getTime();
 
 skidinc.loops = {};
 
+// simulation layer: only mutates game state, never touches the DOM so it can
+// run headless (see src/headless-game.js).
 skidinc.update = function(times) {
-    skidinc.console.loop(times);
     skidinc.script.loop(times);
     skidinc.autoscript.loop(times);
     skidinc.battery.loop(times);
     skidinc.prestige.loop(times);
+    skidinc.challenge.loop(times);
+};
+
+// render layer: reflects the current game state into the DOM.
+skidinc.render = function() {
+    skidinc.console.render();
+    skidinc.script.render();
+    skidinc.autoscript.render();
+    skidinc.server.render();
+    skidinc.battery.render();
+    skidinc.botnet.render();
+    skidinc.challenge.render();
     
     skidinc.stats();
 };
@@ -27,13 +40,8 @@ skidinc.stats = function() {
     
     $('#stats-overview #script #executed').html(skidinc.script.isExecuted());
     $('#stats-overview #script #name').html(skidinc.script.getName());
-    $('#stats-overview #script #time').html(fix(skidinc.script.time, 2) + 's');
-    
-    $('#stats-overview #telnet #level').html('Lvl. ' + fix(skidinc.server.owned[skidinc.server.telnet.index], 0));
-    $('#stats-overview #telnet #price').html('$' + fix(skidinc.server.getPrice('telnet'), 0));
-    
-    $('#stats-overview #web #level').html('Lvl. ' + fix(skidinc.server.owned[skidinc.server.web.index], 0));
-    $('#stats-overview #web #price').html('$' + fix(skidinc.server.getPrice('web'), 0));
+    $('#stats-overview #script #time').html(skidinc.script.getTime());
+    $('#stats-overview #script #queue').html(skidinc.script.getQueueName());
     
     $('#stats-overview #mults #money').html('x' + fix(skidinc.player.getMoneyMult(true), 2));
     $('#stats-overview #mults #exp').html('x' + fix(skidinc.player.getExpMult(true), 2));
@@ -59,10 +67,17 @@ skidinc.core = function() {
         times = Math.floor(elapsed / skidinc.interval);
     
     elapsed > skidinc.interval ? skidinc.update(times) : skidinc.update(1);
+    skidinc.render();
     
     skidinc.before = new Date().getTime();
 };
 
+skidinc.startLoop = function() {
+    skidinc.loops.core = setInterval(function() {
+        skidinc.core();
+    }, skidinc.interval);
+};
+
 skidinc.loadingScreen = function() {
     $('#loading-text').typed({
         strings: ['SkidInc is loading, please wait a bit'],
@@ -81,30 +96,36 @@ skidinc.loadingScreen = function() {
 };
 
 skidinc.init = function() {
-    skidinc.loops.core = setInterval(function() {
-        skidinc.core();
-    }, skidinc.interval);
+    skidinc.startLoop();
 
     skidinc.loadingScreen();
 
     skidinc.script.load(function() {
-        setTimeout(function() {
-            $('#loader').fadeOut('slow', function() {
-                $('#loader').remove();
-            });
+        skidinc.server.load(function() {
+            skidinc.achievements.load(function() {
+                setTimeout(function() {
+                    $('#loader').fadeOut('slow', function() {
+                        $('#loader').remove();
+                    });
 
-            skidinc.script.init();
-            skidinc.autoscript.init();
-            skidinc.buy.init();
-            skidinc.achievements.init();
-            skidinc.options.init();
-            skidinc.kongregate.init();
-            skidinc.save.init();
-            
-            skidinc.domInit();
-            
-            skidinc.tutorial.begin();
-        }, 3500);
+                    skidinc.events.init();
+                    skidinc.console.init();
+                    skidinc.script.init();
+                    skidinc.autoscript.init();
+                    skidinc.buy.init();
+                    skidinc.botnet.init();
+                    skidinc.challenge.init();
+                    skidinc.achievements.init();
+                    skidinc.options.init();
+                    skidinc.kongregate.init();
+                    skidinc.save.init();
+                
+                    skidinc.domInit();
+                
+                    skidinc.tutorial.begin();
+                }, 3500);
+            });
+        });
     });
 };
 
@@ -169,9 +190,12 @@ skidinc.domInit = function() {
     skidinc.console.domInit();
     skidinc.options.domInit();
     skidinc.autoscript.domInit();
+    skidinc.server.domInit();
     skidinc.achievements.domInit();
     skidinc.battery.domInit();
     skidinc.prestige.domInit();
+    skidinc.botnet.domInit();
+    skidinc.challenge.domInit();
     skidinc.kongregate.domInit();
     
     skidinc.player.setUsernamePrefix();
@@ -179,6 +203,8 @@ skidinc.domInit = function() {
     $('[data-toggle="tooltip"]').tooltip();
 };
 
-$(document).ready(function() {
-    skidinc.init();
-});
+if (typeof document !== 'undefined') {
+    $(document).ready(function() {
+        skidinc.init();
+    });
+};
@@ -0,0 +1,80 @@
+skidinc.events = {};
+skidinc.events.listeners = {};
+
+skidinc.events.types = [
+    'script:started',
+    'script:stopped',
+    'script:finished',
+    'player:levelup',
+    'purchase:script',
+    'purchase:autoscript',
+    'purchase:server',
+    'purchase:battery',
+    'purchase:multiplier',
+    'purchase:slot',
+    'purchase:botnet',
+    'achievement:unlocked',
+    'prestige:reset',
+    'challenge:started',
+    'challenge:completed',
+    'challenge:abandoned',
+    'offline:report',
+    'console:command',
+    'console:unknown',
+    'console:clear'
+];
+
+// subscribe to an event type, '*' receives every event as (data, type).
+skidinc.events.on = function(type, callback) {
+    if (typeof skidinc.events.listeners[type] == 'undefined')
+        skidinc.events.listeners[type] = [];
+
+    skidinc.events.listeners[type].push(callback);
+
+    return function() {
+        skidinc.events.off(type, callback);
+    };
+};
+
+skidinc.events.off = function(type, callback) {
+    var listeners = skidinc.events.listeners[type];
+
+    if (typeof listeners == 'undefined')
+        return;
+
+    skidinc.events.listeners[type] = listeners.filter(function(listener) {
+        return listener !== callback;
+    });
+};
+
+skidinc.events.emit = function(type, data) {
+    var listeners = (skidinc.events.listeners[type] || []).concat(skidinc.events.listeners['*'] || []);
+
+    if (skidinc.events.types.indexOf(type) == -1)
+        console.warn('skidinc.events: emitting unknown event type', type);
+
+    data = data || {};
+
+    for (var i = 0; i < listeners.length; i++) {
+        try {
+            listeners[i](data, type);
+        }
+        catch (e) {
+            console.error('skidinc.events: listener failed on', type, e);
+        };
+    };
+};
+
+skidinc.events.init = function() {
+    // forward game events to desktop mods hooks
+    if (typeof window.electronAPI !== 'undefined' && typeof window.electronAPI.emitGameEvent == 'function') {
+        skidinc.events.on('*', function(data, type) {
+            try {
+                window.electronAPI.emitGameEvent(type, JSON.parse(JSON.stringify(data)));
+            }
+            catch (e) {
+                console.error('skidinc.events: failed to forward', type, e);
+            };
+        });
+    };
+};
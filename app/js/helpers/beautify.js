@@ -7,8 +7,15 @@ var beautify = {
 	],
 
 	beautify: function(x, n) {
+		if (x instanceof BigNum)
+			return this.beautifyBig(x, n);
+
 		if (x >= 1e6) {
 			var z = Math.floor(this.logFloor(x) / 3);
+
+			if (z - 2 >= this.prefixes.length)
+				return this.scientific(BigNum.from(x), n);
+
 			var s = this.beautify(x / Math.pow(10, 3 * z), n);
 			return s + "" + this.prefixes[z - 2];
 		} else if (x === 0 || typeof x == "undefined" || isNaN(x))
@@ -17,6 +24,22 @@ var beautify = {
 			return this.numberWithCommas(x.toFixed(n));
 	},
 
+	beautifyBig: function(x, n) {
+		if (x.e < 6)
+			return this.beautify(x.toNumber(), n);
+
+		var z = Math.floor(x.e / 3);
+
+		if (z - 2 >= this.prefixes.length)
+			return this.scientific(x, n);
+
+		return this.beautify(x.m * Math.pow(10, x.e - 3 * z), n) + "" + this.prefixes[z - 2];
+	},
+
+	scientific: function(x, n) {
+		return x.m.toFixed(n) + "e" + x.e;
+	},
+
 	numberWithCommas: function(n) {
 		var parts = n.toString().split(".");
 
@@ -35,7 +58,9 @@ var beautify = {
 	},
 
 	fix: function(x, n) {
-		if (x >= 1e6)
+		if (x instanceof BigNum)
+			return beautify.beautify(x, x.e >= 6 ? 3 : (typeof n == 'number' ? n : 2));
+		else if (x >= 1e6)
 			return beautify.beautify(x, 3)
 		else if (x < 1e6 && typeof n == 'number')
 			return beautify.beautify(x, n);
@@ -0,0 +1,205 @@
+// mantissa/exponent number (m * 10^e, 1 <= |m| < 10) used for money, exp and
+// everything that can grow past Number.MAX_VALUE on heavy prestige runs.
+var BigNum = function(mantissa, exponent) {
+	this.m = mantissa;
+	this.e = exponent || 0;
+
+	this.normalize();
+};
+
+BigNum.maxPrecision = 17;
+
+// throws on Infinity and NaN: a double that overflowed has lost its value, keep
+// the math in BigNum instead of converting its result.
+BigNum.from = function(x) {
+	if (x instanceof BigNum)
+		return x;
+
+	if (x === null || typeof x == 'undefined' || x === '')
+		return new BigNum(0, 0);
+
+	if (typeof x == 'number') {
+		if (!isFinite(x))
+			throw new RangeError('BigNum.from: ' + x + ' is not a finite number');
+
+		return new BigNum(x, 0);
+	};
+
+	if (typeof x == 'string') {
+		var parts = x.toLowerCase().split('e');
+
+		return new BigNum(parseFloat(parts[0]) || 0, parseInt(parts[1] || 0));
+	};
+
+	if (typeof x == 'object' && typeof x.m == 'number')
+		return new BigNum(x.m, x.e);
+
+	return new BigNum(0, 0);
+};
+
+BigNum.fromLog10 = function(log) {
+	var e = Math.floor(log);
+
+	return new BigNum(Math.pow(10, log - e), e);
+};
+
+BigNum.max = function(a, b) {
+	a = BigNum.from(a);
+	b = BigNum.from(b);
+
+	return a.gte(b) ? a : b;
+};
+
+BigNum.min = function(a, b) {
+	a = BigNum.from(a);
+	b = BigNum.from(b);
+
+	return a.lte(b) ? a : b;
+};
+
+BigNum.prototype.normalize = function() {
+	if (this.m === 0 || !isFinite(this.m)) {
+		this.m = 0;
+		this.e = 0;
+
+		return this;
+	};
+
+	var shift = Math.floor(Math.log10(Math.abs(this.m)));
+
+	this.m = this.m / Math.pow(10, shift);
+	this.e += shift;
+
+	// float rounding can leave the mantissa at 10 or just below 1
+	if (Math.abs(this.m) >= 10) {
+		this.m /= 10;
+		this.e++;
+	}
+	else if (Math.abs(this.m) < 1) {
+		this.m *= 10;
+		this.e--;
+	};
+
+	return this;
+};
+
+BigNum.prototype.add = function(x) {
+	x = BigNum.from(x);
+
+	if (x.m === 0)
+		return this;
+	if (this.m === 0)
+		return x;
+
+	var diff = this.e - x.e;
+
+	if (diff > BigNum.maxPrecision)
+		return this;
+	if (diff < -BigNum.maxPrecision)
+		return x;
+
+	return new BigNum(this.m + x.m * Math.pow(10, -diff), this.e);
+};
+
+BigNum.prototype.sub = function(x) {
+	x = BigNum.from(x);
+
+	return this.add(new BigNum(-x.m, x.e));
+};
+
+BigNum.prototype.mul = function(x) {
+	x = BigNum.from(x);
+
+	return new BigNum(this.m * x.m, this.e + x.e);
+};
+
+BigNum.prototype.div = function(x) {
+	x = BigNum.from(x);
+
+	return new BigNum(this.m / x.m, this.e - x.e);
+};
+
+BigNum.prototype.pow = function(n) {
+	if (this.m === 0)
+		return n === 0 ? new BigNum(1, 0) : this;
+
+	return BigNum.fromLog10(this.log10() * n);
+};
+
+BigNum.prototype.sqrt = function() {
+	return this.pow(0.5);
+};
+
+BigNum.prototype.log10 = function() {
+	return Math.log10(this.m) + this.e;
+};
+
+BigNum.prototype.floor = function() {
+	if (this.e >= BigNum.maxPrecision)
+		return this;
+
+	return new BigNum(Math.floor(Math.round(this.toNumber() * 1e6) / 1e6), 0);
+};
+
+BigNum.prototype.cmp = function(x) {
+	x = BigNum.from(x);
+
+	var a = this.m > 0 ? 1 : (this.m < 0 ? -1 : 0),
+		b = x.m > 0 ? 1 : (x.m < 0 ? -1 : 0);
+
+	if (a !== b)
+		return a > b ? 1 : -1;
+	if (a === 0)
+		return 0;
+
+	if (this.e !== x.e)
+		return (this.e > x.e ? 1 : -1) * a;
+	if (this.m !== x.m)
+		return this.m > x.m ? 1 : -1;
+
+	return 0;
+};
+
+BigNum.prototype.gt = function(x) {
+	return this.cmp(x) > 0;
+};
+
+BigNum.prototype.gte = function(x) {
+	return this.cmp(x) >= 0;
+};
+
+BigNum.prototype.lt = function(x) {
+	return this.cmp(x) < 0;
+};
+
+BigNum.prototype.lte = function(x) {
+	return this.cmp(x) <= 0;
+};
+
+BigNum.prototype.eq = function(x) {
+	return this.cmp(x) === 0;
+};
+
+BigNum.prototype.toNumber = function() {
+	return this.m * Math.pow(10, this.e);
+};
+
+// keeps plain comparisons (achievements, mods) working below Number.MAX_VALUE.
+BigNum.prototype.valueOf = function() {
+	return this.toNumber();
+};
+
+BigNum.prototype.toString = function() {
+	if (this.e < 21)
+		return String(this.toNumber());
+
+	return this.m + 'e' + this.e;
+};
+
+// saves stay plain numbers as long as they fit in a double.
+BigNum.prototype.toJSON = function() {
+	if (this.e < 300)
+		return this.toNumber();
+
+	return this.toString();
+};
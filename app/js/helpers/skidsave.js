@@ -0,0 +1,71 @@
+// .skidsave container shared by the web and desktop builds, see docs/SAVE_FORMAT.md:
+//     SKIDSAVE <format> <game version> <compression> <checksum>\n<payload>
+// the payload is the save JSON, or the base64 of the gzipped JSON when the
+// compression is 'gzip'. the checksum is a FNV-1a hash of the payload.
+var SkidSave = {};
+
+SkidSave.magic = 'SKIDSAVE';
+SkidSave.format = 1;
+SkidSave.extension = '.skidsave';
+SkidSave.compressions = ['none', 'gzip'];
+
+SkidSave.checksum = function(str) {
+	var hash = 0x811c9dc5;
+
+	for (var i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	};
+
+	return ('0000000' + hash.toString(16)).slice(-8);
+};
+
+SkidSave.is = function(str) {
+	return typeof str == 'string' && str.indexOf(SkidSave.magic + ' ') === 0;
+};
+
+SkidSave.build = function(payload, version, compression) {
+	var header = [
+		SkidSave.magic,
+		SkidSave.format,
+		String(version).replace(/\s+/g, '') || 'unknown',
+		compression || 'none',
+		SkidSave.checksum(payload)
+	];
+
+	return header.join(' ') + '\n' + payload;
+};
+
+// returns { format, version, compression, checksum, payload }, throws on an
+// invalid container.
+SkidSave.parse = function(str) {
+	var end = SkidSave.is(str) ? str.indexOf('\n') : -1;
+
+	if (end == -1)
+		throw new Error('not a ' + SkidSave.extension + ' file');
+
+	var header = str.slice(0, end).replace(/\r$/, '').split(' '),
+		payload = str.slice(end + 1),
+		format = Number(header[1]);
+
+	if (header.length !== 5 || !(format >= 1))
+		throw new Error('invalid ' + SkidSave.extension + ' header');
+	if (format > SkidSave.format)
+		throw new Error(SkidSave.extension + ' format ' + format + ' is newer than the supported one (' + SkidSave.format + ')');
+	if (SkidSave.compressions.indexOf(header[3]) == -1)
+		throw new Error('unknown ' + SkidSave.extension + ' compression ' + header[3]);
+	if (SkidSave.checksum(payload) !== header[4])
+		throw new Error(SkidSave.extension + ' checksum mismatch, the file is corrupted');
+
+	return {
+		format: format,
+		version: header[2],
+		compression: header[3],
+		checksum: header[4],
+		payload: payload
+	};
+};
+
+// the desktop main process requires this file, the game loads it as a script.
+if (typeof module !== 'undefined' && module.exports)
+	module.exports = SkidSave;
@@ -0,0 +1,159 @@
+skidinc.offline = {};
+skidinc.offline.minTime = 60;
+skidinc.offline.cap = 43200;
+skidinc.offline.caps = {
+    '1h': 3600,
+    '4h': 14400,
+    '8h': 28800,
+    '12h': 43200,
+    '24h': 86400
+};
+
+skidinc.offline.formatTime = function(seconds) {
+    var h = Math.floor(seconds / 3600),
+        m = Math.floor((seconds % 3600) / 60),
+        s = Math.floor(seconds % 60);
+
+    if (h > 0)
+        return h + 'h ' + m + 'm';
+    if (m > 0)
+        return m + 'm ' + s + 's';
+
+    return s + 's';
+};
+
+skidinc.offline.getCapName = function() {
+    for (var name in skidinc.offline.caps) {
+        if (skidinc.offline.caps[name] == skidinc.offline.cap)
+            return name;
+    };
+
+    return skidinc.offline.formatTime(skidinc.offline.cap);
+};
+
+// simulate a period where multipliers stay constant (battery charged or empty),
+// autoscripts are completed in closed form, running scripts finish one by one.
+skidinc.offline.simulate = function(duration, report) {
+    var moneyMult = skidinc.player.getMoneyMult(),
+        expMult = skidinc.player.getExpMult();
+
+    for (var i = 0; i < skidinc.script.scripts.length; i++) {
+        var script = skidinc.script.scripts[i];
+
+        if (!skidinc.autoscript.unlocked[script.i])
+            continue;
+
+        var maxTime = skidinc.autoscript.getTime(script),
+            progress = skidinc.autoscript.time[script.i] + duration,
+            completions = Math.floor(progress / maxTime);
+
+        skidinc.autoscript.time[script.i] = progress - completions * maxTime;
+        skidinc.script.completed[script.i] += completions;
+
+        report.completions += completions;
+        report.money = report.money.add(moneyMult.mul(script.money).mul(completions));
+        report.exp = report.exp.add(expMult.mul(script.exp).mul(completions));
+    };
+
+    // the running scripts, then the queued ones, slot after slot as they finish.
+    var left = duration;
+
+    while (left > 0) {
+        var busy = skidinc.script.getBusySlots();
+
+        if (!busy.length)
+            break;
+
+        var step = Math.min(left, Math.min.apply(null, busy.map(function(slot) {
+            return slot.time;
+        })));
+
+        left -= step;
+
+        busy.forEach(function(slot) {
+            slot.time -= step;
+
+            if (slot.time > 0)
+                return;
+
+            var current = slot.current;
+
+            skidinc.script.completed[current.i]++;
+            skidinc.script.resetSlot(slot);
+
+            report.completions++;
+            report.money = report.money.add(moneyMult.mul(current.money));
+            report.exp = report.exp.add(expMult.mul(current.exp));
+
+            var next = skidinc.script.shiftQueue();
+
+            if (next !== null)
+                skidinc.script.begin(skidinc.script.slots.indexOf(slot), next);
+        });
+    };
+};
+
+skidinc.offline.run = function() {
+    var now = new Date().getTime(),
+        elapsed = Math.max(0, (now - skidinc.before) / 1000),
+        duration = Math.min(elapsed, skidinc.offline.cap),
+        report = {
+            elapsed: elapsed,
+            duration: duration,
+            money: BigNum.from(0),
+            exp: BigNum.from(0),
+            levels: 0,
+            completions: 0
+        };
+
+    if (elapsed < skidinc.offline.minTime)
+        return;
+
+    var charged = Math.min(duration, skidinc.battery.time);
+
+    if (charged > 0)
+        skidinc.offline.simulate(charged, report);
+
+    skidinc.battery.time = Math.max(0, skidinc.battery.time - duration);
+
+    if (duration - charged > 0)
+        skidinc.offline.simulate(duration - charged, report);
+
+    var level = skidinc.player.level;
+
+    skidinc.player.earn('money', report.money);
+    skidinc.player.earn('exp', report.exp, true);
+
+    report.levels = skidinc.player.level - level;
+    skidinc.script.totalCompleted = skidinc.script.completed.reduce((a, b) => a + b, 0);
+
+    skidinc.before = now;
+    skidinc.now = now;
+
+    skidinc.events.emit('offline:report', report);
+
+    return report;
+};
+
+skidinc.offline.print = function(report) {
+    var str = '<y>WHILE YOU WERE AWAY</y> you were gone for <b>' + skidinc.offline.formatTime(report.elapsed) + '</b>';
+
+    if (report.elapsed > report.duration)
+        str += ' (offline progress capped to <b>' + skidinc.offline.getCapName() + '</b>, see <b>option offline</b>)';
+
+    str += ':<br><b>-</b> you earned <b>$' + fix(report.money, 0) + '</b> and <b>' + fix(report.exp, 0) + ' exp</b>.<br>' +
+        '<b>-</b> you gained <b>' + report.levels + ' level' + (report.levels == 1 ? '' : 's') + '</b>.<br>' +
+        '<b>-</b> <b>' + fix(report.completions, 0) + '</b> scripts completed.';
+
+    return skidinc.console.print(str);
+};
+
+skidinc.offline.serialize = function() {
+    return {
+        cap: skidinc.offline.cap
+    };
+};
+
+skidinc.offline.deserialize = function(data) {
+    skidinc.offline.cap = data.cap;
+};
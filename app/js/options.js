@@ -3,20 +3,31 @@ skidinc.options.options = [{
     id: 'theme',
     desc: 'change the terminal theme (text colors, background).',
     accept: ['default', 'stardust', 'matrix'],
-    exec: 'skidinc.options.switchTheme'
+    exec: 'switchTheme'
 }, {
     id: 'invert',
     desc: 'toggle color/background inversion on the terminal.',
     accept: ['enable', 'disable'],
-    exec: 'skidinc.options.switchInversion'
+    exec: 'switchInversion'
 }, {
     id: 'typed',
     desc: 'toggle the typed text effect.',
     accept: ['enable', 'disable'],
-    exec: 'skidinc.options.switchTyped'
+    exec: 'switchTyped'
+}, {
+    id: 'offline',
+    desc: 'set the maximum time credited as offline progress.',
+    accept: ['1h', '4h', '8h', '12h', '24h'],
+    exec: 'switchOffline'
+}, {
+    id: 'roi',
+    desc: 'toggle the payback times in the buy list.',
+    accept: ['enable', 'disable'],
+    exec: 'switchRoi'
 }];
 skidinc.options.themesUnlocked = [true, false, false];
 skidinc.options.typed = true;
+skidinc.options.roi = false;
 skidinc.options.matrixEnabled = false;
 
 skidinc.options.tab = 'overview';
@@ -64,16 +75,16 @@ skidinc.options.execute = function(args) {
     if (!exists)
         return skidinc.console.print('<x>ERR</x> <b>' + args[0] + '</b> is not a valid option name.');
     
-    if (exists && args.length == 2)
-        return eval(o.exec)(o, args[1]);
+    // exec is the name of the skidinc.options function applying the option
+    return skidinc.options[o.exec](o, args[1]);
 };
 
 skidinc.options.switchTheme = function(opt, theme) {
     if (opt.accept.indexOf(theme) == -1)
         return skidinc.console.print('<x>ERR</x> <b>' + theme + '</b> theme doesn\'t exist.');
     
-    if (!skidinc.options.themesUnlocked[opt.accept.indexOf(theme)])
-        return skidinc.console.print('<x>ERR</x> you need to unlock <b>' + theme + '</b> theme. Themes are only available on the Kongregate version.');
+    if (!skidinc.options.themesUnlocked[opt.accept.indexOf(theme)] && skidinc.achievements.getThemes().indexOf(theme) == -1)
+        return skidinc.console.print('<x>ERR</x> you need to unlock <b>' + theme + '</b> theme. Themes are unlocked by achievements or on the Kongregate version.');
     
     if ($('body').hasClass('inverted'))
         $('body').removeClass().addClass('noselect inverted ' + theme);
@@ -142,6 +153,24 @@ skidinc.options.switchTyped = function(opt, typed, direct) {
     return skidinc.console.print('Typed text effect <b>' + typed + 'd</b>.');
 };
 
+skidinc.options.switchOffline = function(opt, cap) {
+    if (opt.accept.indexOf(cap) == -1)
+        return skidinc.console.print('<x>ERR</x> <b>' + cap + '</b> is not a valid argument for <b>offline</b> option.');
+    
+    skidinc.offline.cap = skidinc.offline.caps[cap];
+    
+    return skidinc.console.print('Offline progress capped to <b>' + cap + '</b>.');
+};
+
+skidinc.options.switchRoi = function(opt, roi) {
+    if (opt.accept.indexOf(roi) == -1)
+        return skidinc.console.print('<x>ERR</x> <b>' + roi + '</b> is not a valid argument for <b>roi</b> option.');
+    
+    skidinc.options.roi = roi == 'enable';
+    
+    return skidinc.console.print('Payback times in buy list <b>' + roi + 'd</b>.');
+};
+
 skidinc.options.changeTab = function(how) {
     if (how == 'right') {
         var i = skidinc.options.tabs.indexOf(skidinc.options.tab),
@@ -175,6 +204,19 @@ skidinc.options.domInit = function() {
         skidinc.save.eraseNow();
     });
     
+    $('#option-download').on('click', function() {
+        skidinc.save.download();
+    });
+    
+    $('#option-upload').on('click', function() {
+        skidinc.save.upload();
+    });
+    
+    $('#option-upload-file').on('change', function() {
+        if (this.files.length)
+            skidinc.save.uploadFile(this.files[0]);
+    });
+    
     // Electron-specific options
     if (typeof window.electronAPI !== 'undefined') {
         $('#electron-migration-options').show();
@@ -485,4 +527,32 @@ skidinc.options.init = function() {
     });
     
     skidinc.options.thirdArgs.push('enable', 'disable');
-};
\ No newline at end of file
+    
+    Object.keys(skidinc.offline.caps).forEach(function(i) {
+        skidinc.options.thirdArgs.push(i);
+    });
+};
+
+skidinc.options.serialize = function() {
+    return {
+        typed: skidinc.options.typed,
+        roi: skidinc.options.roi,
+        themesUnlocked: skidinc.options.themesUnlocked
+    };
+};
+
+skidinc.options.deserialize = function(data) {
+    skidinc.options.typed = data.typed;
+    skidinc.options.roi = data.roi;
+    skidinc.options.themesUnlocked = data.themesUnlocked || skidinc.options.themesUnlocked;
+};
+
+skidinc.console.register({
+    id: 'option',
+    desc: 'change in-game options.',
+    args: ['<name>', '<value>'],
+    handler: skidinc.options.execute,
+    help: skidinc.options.help,
+    list: skidinc.options.list,
+    complete: [skidinc.options.secondArgs, skidinc.options.thirdArgs]
+});
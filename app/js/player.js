@@ -1,55 +1,76 @@
 skidinc.player = {};
 skidinc.player.username = 'kiddie';
 
-skidinc.player.money = 0;
-skidinc.player.totalMoney = 0;
-skidinc.player.exp = 0;
-skidinc.player.totalExp = 0;
-skidinc.player.expReq = 100;
+skidinc.player.money = BigNum.from(0);
+skidinc.player.totalMoney = BigNum.from(0);
+skidinc.player.exp = BigNum.from(0);
+skidinc.player.totalExp = BigNum.from(0);
+skidinc.player.expReq = BigNum.from(100);
 skidinc.player.level = 1;
-skidinc.player.botnet = 0;
+skidinc.player.botnet = BigNum.from(0);
 skidinc.player.multiplierLevel = 0;
+skidinc.player.prestigeCount = 0;
 
 skidinc.player.getTimeMult = function() {
-    return skidinc.server.getEffects('telnet').time * skidinc.battery.getTimeEffect() * skidinc.player.getMultiplierBoost();
+    return skidinc.server.getEffect('time') * skidinc.battery.getTimeEffect() * skidinc.player.getMultiplierBoost() * skidinc.challenge.getMult('time') * skidinc.achievements.getMult('time');
 };
 
 skidinc.player.getMultiplierBoost = function() {
     return 1 + (skidinc.player.multiplierLevel * 0.05);
 };
 
+// factors are multiplied as BigNum, their product can overflow a double.
 skidinc.player.getMoneyMult = function(display) {
+    var mult = BigNum.from(skidinc.server.getEffect('money')).mul(skidinc.battery.getMoneyEffect()).mul(skidinc.player.getMultiplierBoost()).mul(skidinc.challenge.getMult('money')).mul(skidinc.achievements.getMult('money'));
+    
     if (display)
-        return skidinc.server.getEffects('web').money * skidinc.battery.getMoneyEffect() * skidinc.player.getMultiplierBoost();
+        return mult;
     
-    return (skidinc.server.getEffects('web').money * skidinc.battery.getMoneyEffect() * skidinc.player.getMultiplierBoost()) * skidinc.prestige.getPrestigeMult();
+    return mult.mul(skidinc.prestige.getPrestigeMult());
 };
 
 skidinc.player.getExpMult = function(display) {
+    var mult = BigNum.from(skidinc.server.getEffect('exp')).mul(skidinc.battery.getExpEffect()).mul(skidinc.player.getMultiplierBoost()).mul(skidinc.challenge.getMult('exp')).mul(skidinc.achievements.getMult('exp'));
+    
     if (display)
-        return skidinc.server.getEffects('web').exp * skidinc.battery.getExpEffect() * skidinc.player.getMultiplierBoost();
+        return mult;
     
-    return (skidinc.server.getEffects('web').exp * skidinc.battery.getExpEffect() * skidinc.player.getMultiplierBoost()) * skidinc.prestige.getPrestigeMult();
+    return mult.mul(skidinc.prestige.getPrestigeMult());
+};
+
+skidinc.player.getMultiplierUpgrade = function() {
+    return {
+        price: 50000,
+        inflation: 2.4,
+        level: skidinc.player.multiplierLevel,
+        max: Infinity
+    };
 };
 
 skidinc.player.getMultiplierCost = function() {
-    return Math.floor(50000 * Math.pow(2.4, skidinc.player.multiplierLevel));
+    return skidinc.buy.getCost(skidinc.player.getMultiplierUpgrade(), 1);
 };
 
 skidinc.player.listMultiplier = function() {
     return '<b>*</b> level <b>' + skidinc.player.multiplierLevel + '</b>, boost <b>x' + fix(skidinc.player.getMultiplierBoost(), 2) + '</b>, next upgrade cost <b>$' + fix(skidinc.player.getMultiplierCost(), 0) + '</b>.';
 };
 
-skidinc.player.buyMultiplier = function() {
-    var cost = skidinc.player.getMultiplierCost();
+skidinc.player.buyMultiplier = function(amount) {
+    var quote = skidinc.buy.quote(skidinc.player.getMultiplierUpgrade(), amount || 1);
 
-    if (skidinc.player.money < cost)
-        return skidinc.console.print('<x>ERR</x> not enough money to buy multiplier upgrade (cost <b>$' + fix(cost, 0) + '</b>).');
+    if (quote.error == 'money' && quote.amount <= 1)
+        return skidinc.console.print('<x>ERR</x> not enough money to buy multiplier upgrade (cost <b>$' + fix(quote.cost, 0) + '</b>).');
+    if (quote.error == 'money')
+        return skidinc.console.print('<x>ERR</x> not enough money to buy <b>' + quote.amount + '</b> multiplier upgrades (total cost of <b>$' + fix(quote.cost, 0) + '</b>).');
 
-    skidinc.player.money -= cost;
-    skidinc.player.multiplierLevel++;
+    skidinc.player.money = skidinc.player.money.sub(quote.cost);
+    skidinc.player.multiplierLevel += quote.amount;
 
-    return skidinc.console.print('Multiplier upgraded to <b>lvl ' + skidinc.player.multiplierLevel + '</b> (boost x' + fix(skidinc.player.getMultiplierBoost(), 2) + ').');
+    return skidinc.events.emit('purchase:multiplier', {
+        level: skidinc.player.multiplierLevel,
+        amount: quote.amount,
+        cost: quote.cost
+    });
 };
 
 skidinc.player.setUsernamePrefix = function() {
@@ -87,21 +108,31 @@ skidinc.player.setUsername = function(args) {
     };
 };
 
-skidinc.player.earn = function(type, amount) {
+skidinc.player.getExpReq = function(level) {
+    return BigNum.from(1.5).pow(level).mul(100).floor();
+};
+
+skidinc.player.earn = function(type, amount, silent) {
+    amount = BigNum.from(amount);
+    
     if (type == 'money') {
-        skidinc.player.money += amount;
-        skidinc.player.totalMoney += amount;
+        skidinc.player.money = skidinc.player.money.add(amount);
+        skidinc.player.totalMoney = skidinc.player.totalMoney.add(amount);
     };
     
     if (type == 'exp') {
-        skidinc.player.exp += amount;
-        skidinc.player.totalExp += amount;
+        skidinc.player.exp = skidinc.player.exp.add(amount);
+        skidinc.player.totalExp = skidinc.player.totalExp.add(amount);
         
-        while (skidinc.player.exp >= skidinc.player.expReq) {
+        while (skidinc.player.exp.gte(skidinc.player.expReq)) {
             skidinc.player.level++;
-            skidinc.player.exp -= skidinc.player.expReq;
-            skidinc.player.expReq = Math.floor(100 * Math.pow(1.5, skidinc.player.level));
-            skidinc.console.print('<z>LEVEL-UP!</z> You are now level <b>' + skidinc.player.level + '</b>!');
+            skidinc.player.exp = skidinc.player.exp.sub(skidinc.player.expReq);
+            skidinc.player.expReq = skidinc.player.getExpReq(skidinc.player.level);
+            
+            skidinc.events.emit('player:levelup', {
+                level: skidinc.player.level,
+                silent: !!silent
+            });
         };
     };
 };
@@ -110,9 +141,45 @@ skidinc.player.prestige = function() {
     skidinc.before = new Date().getTime();
     skidinc.now = new Date().getTime();
     
-    skidinc.player.money = 0;
-    skidinc.player.expReq = 100;
-    skidinc.player.exp = 0;
+    skidinc.player.money = BigNum.from(0);
+    skidinc.player.expReq = BigNum.from(100);
+    skidinc.player.exp = BigNum.from(0);
     skidinc.player.level = 1;
     skidinc.player.multiplierLevel = 0;
 };
+
+skidinc.player.serialize = function() {
+    return {
+        username: skidinc.player.username,
+        money: skidinc.player.money,
+        totalMoney: skidinc.player.totalMoney,
+        exp: skidinc.player.exp,
+        totalExp: skidinc.player.totalExp,
+        expReq: skidinc.player.expReq,
+        level: skidinc.player.level,
+        botnet: skidinc.player.botnet,
+        prestigeCount: skidinc.player.prestigeCount,
+        multiplierLevel: skidinc.player.multiplierLevel
+    };
+};
+
+// money and exp are numbers, or 'mantissa'e'exponent' strings past 1e300.
+skidinc.player.deserialize = function(data) {
+    skidinc.player.username = data.username;
+    skidinc.player.money = BigNum.from(data.money);
+    skidinc.player.totalMoney = BigNum.from(data.totalMoney);
+    skidinc.player.exp = BigNum.from(data.exp);
+    skidinc.player.totalExp = BigNum.from(data.totalExp);
+    skidinc.player.expReq = BigNum.from(data.expReq);
+    skidinc.player.level = data.level;
+    skidinc.player.botnet = BigNum.from(data.botnet);
+    skidinc.player.prestigeCount = data.prestigeCount;
+    skidinc.player.multiplierLevel = data.multiplierLevel;
+};
+
+skidinc.console.register({
+    id: 'username',
+    desc: 'set your username, can only be used in the tutorial.',
+    args: ['<username>'],
+    handler: skidinc.player.setUsername
+});
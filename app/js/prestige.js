@@ -1,21 +1,221 @@
 skidinc.prestige = {};
-skidinc.prestige.botnetOnReset = 0;
+skidinc.prestige.botnetOnReset = BigNum.from(0);
 skidinc.prestige.baseMult = 0.02;
+skidinc.prestige.history = [];
+skidinc.prestige.maxHistory = 100;
+
+// totals when the current run started, total money and completed scripts are
+// never reset so a run only counts what was earned since then.
+skidinc.prestige.run = {
+    start: new Date().getTime(),
+    money: BigNum.from(0),
+    completed: 0
+};
 
 skidinc.prestige.getBotnet = function() {
-    return Math.floor(5 * Math.sqrt(skidinc.player.totalMoney / 1e9));
+    return skidinc.player.totalMoney.div(1e9).sqrt().mul(5).floor();
 };
 
 skidinc.prestige.getPrestigeMult = function() {
-    return 1 + (skidinc.player.botnet * skidinc.prestige.baseMult);
+    return skidinc.player.botnet.mul(skidinc.prestige.baseMult).add(1);
 };
 
 skidinc.prestige.loop = function(times) {
-    skidinc.prestige.botnetOnReset = skidinc.prestige.getBotnet() - skidinc.player.botnet;
+    skidinc.prestige.botnetOnReset = BigNum.max(0, skidinc.prestige.getBotnet().sub(skidinc.player.botnet));
+};
+
+skidinc.prestige.startRun = function() {
+    skidinc.prestige.run = {
+        start: new Date().getTime(),
+        money: skidinc.player.totalMoney,
+        completed: skidinc.script.totalCompleted
+    };
+};
+
+// called right before the reset, saves from before 0.43 have no run start.
+skidinc.prestige.record = function(gained) {
+    var end = new Date().getTime(),
+        start = skidinc.prestige.run.start,
+        run = {
+            start: start,
+            end: end,
+            duration: start ? (end - start) / 1000 : null,
+            money: skidinc.player.totalMoney.sub(skidinc.prestige.run.money),
+            botnet: gained,
+            level: skidinc.player.level,
+            completed: skidinc.script.totalCompleted - skidinc.prestige.run.completed
+        };
+    
+    skidinc.prestige.history.push(run);
+    
+    if (skidinc.prestige.history.length > skidinc.prestige.maxHistory)
+        skidinc.prestige.history.shift();
+    
+    skidinc.player.prestigeCount++;
+    skidinc.prestige.startRun();
+    
+    return run;
+};
+
+// number of the nth run kept in history, older ones may have been dropped.
+skidinc.prestige.getRunNumber = function(index) {
+    return skidinc.player.prestigeCount - skidinc.prestige.history.length + index + 1;
+};
+
+skidinc.prestige.formatDate = function(time) {
+    if (!time)
+        return 'unknown';
+    
+    var date = new Date(time),
+        pad = function(n) {
+            return ('0' + n).slice(-2);
+        };
+    
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+};
+
+skidinc.prestige.formatDuration = function(duration) {
+    return duration === null ? 'unknown' : skidinc.offline.formatTime(duration);
+};
+
+skidinc.prestige.status = function() {
+    var run = skidinc.prestige.run,
+        str = '<y>PRESTIGE</y> you did <b>' + skidinc.player.prestigeCount + '</b> prestige' + (skidinc.player.prestigeCount == 1 ? '' : 's') + '.<br>' +
+            '<b>-</b> current run started <b>' + skidinc.prestige.formatDate(run.start) + '</b>, you earned <b>$' + fix(skidinc.player.totalMoney.sub(run.money), 0) + '</b> since.<br>' +
+            '<b>-</b> a prestige now gives <b>' + fix(skidinc.prestige.botnetOnReset, 0) + ' botnets</b>, do it from the prestige tab.<br>' +
+            '<b>-</b> see your past runs with <b>prestige -history</b>, export them with <b>prestige -csv</b>.';
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.prestige.printHistory = function() {
+    if (!skidinc.prestige.history.length)
+        return skidinc.console.print('<x>ERR</x> you didn\'t do any prestige yet.');
+    
+    var str = '<y>PRESTIGE HISTORY</y>:<br>';
+    
+    skidinc.prestige.history.forEach(function(run, i) {
+        str += '<b>#' + skidinc.prestige.getRunNumber(i) + '</b> ' + skidinc.prestige.formatDate(run.start) + ' to ' + skidinc.prestige.formatDate(run.end) +
+            ' (<b>' + skidinc.prestige.formatDuration(run.duration) + '</b>): <b>$' + fix(run.money, 0) + '</b> earned, <b>+' + fix(run.botnet, 0) + ' botnets</b>, ' +
+            'level <b>' + run.level + '</b>, <b>' + fix(run.completed, 0) + '</b> scripts completed.<br>';
+    });
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.prestige.toCSV = function() {
+    var lines = ['run,start,end,duration,money,botnet,level,scripts'];
+    
+    skidinc.prestige.history.forEach(function(run, i) {
+        lines.push([
+            skidinc.prestige.getRunNumber(i),
+            run.start ? new Date(run.start).toISOString() : '',
+            new Date(run.end).toISOString(),
+            run.duration === null ? '' : Math.round(run.duration),
+            run.money.toString(),
+            run.botnet.toString(),
+            run.level,
+            run.completed
+        ].join(','));
+    });
+    
+    return lines.join('\n');
+};
+
+skidinc.prestige.exportCSV = function() {
+    if (!skidinc.prestige.history.length)
+        return skidinc.console.print('<x>ERR</x> you didn\'t do any prestige yet.');
+    
+    var blob = new Blob([skidinc.prestige.toCSV()], { type: 'text/csv' }),
+        url = URL.createObjectURL(blob),
+        link = document.createElement('a');
+    
+    link.href = url;
+    link.download = 'skidinc-prestiges.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    return skidinc.console.print('<z>PRESTIGE</z> history of <b>' + skidinc.prestige.history.length + '</b> runs exported to <b>skidinc-prestiges.csv</b>.');
+};
+
+skidinc.prestige.execute = function(args, flags) {
+    if (flags.history && flags.csv)
+        return skidinc.console.print('<w>WARN</w> use either <b>-history</b> or <b>-csv</b>.');
+    
+    if (flags.history)
+        return skidinc.prestige.printHistory();
+    if (flags.csv)
+        return skidinc.prestige.exportCSV();
+    
+    return skidinc.prestige.status();
+};
+
+skidinc.prestige.help = function() {
+    var str = '<y>PRESTIGE HELP</y> see your prestige runs:<br>' +
+        '<b>-</b> <b>prestige</b> shows your current run and the botnets you would earn.<br>' +
+        '<b>-</b> <b>prestige -history</b> lists your past runs (duration, money earned, botnets, max level, scripts).<br>' +
+        '<b>-</b> <b>prestige -csv</b> downloads that history as a CSV file.';
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.prestige.renderHistory = function() {
+    if (!skidinc.prestige.history.length)
+        return $('#prestige-history').html('<p class="text-center">No prestige yet.</p>');
+    
+    var str = '<table class="table table-sm"><thead><tr>' +
+        '<th>#</th><th>Start</th><th>Duration</th><th>Money</th><th>Botnets</th><th>Level</th><th>Scripts</th>' +
+        '</tr></thead><tbody>';
+    
+    // most recent run first
+    for (var i = skidinc.prestige.history.length - 1; i >= 0; i--) {
+        var run = skidinc.prestige.history[i];
+        
+        str += '<tr><td>' + skidinc.prestige.getRunNumber(i) + '</td><td>' + skidinc.prestige.formatDate(run.start) + '</td>' +
+            '<td>' + skidinc.prestige.formatDuration(run.duration) + '</td><td>$' + fix(run.money, 0) + '</td>' +
+            '<td>+' + fix(run.botnet, 0) + '</td><td>' + run.level + '</td><td>' + fix(run.completed, 0) + '</td></tr>';
+    };
+    
+    $('#prestige-history').html(str + '</tbody></table>');
 };
 
 skidinc.prestige.domInit = function() {
     $('#prestige-button').on('click', function() {
         skidinc.save.soft();
     });
-};
\ No newline at end of file
+    
+    skidinc.prestige.renderHistory();
+    skidinc.events.on('prestige:reset', skidinc.prestige.renderHistory);
+};
+
+skidinc.prestige.serialize = function() {
+    return {
+        history: skidinc.prestige.history,
+        run: skidinc.prestige.run
+    };
+};
+
+skidinc.prestige.deserialize = function(data) {
+    skidinc.prestige.history = data.history.map(function(run) {
+        run.money = BigNum.from(run.money);
+        run.botnet = BigNum.from(run.botnet);
+        
+        return run;
+    });
+    
+    skidinc.prestige.run = {
+        start: data.run.start,
+        money: BigNum.from(data.run.money),
+        completed: data.run.completed
+    };
+};
+
+skidinc.console.register({
+    id: 'prestige',
+    desc: 'see your current run and past prestiges.',
+    flags: ['-history', '-csv'],
+    handler: skidinc.prestige.execute,
+    help: skidinc.prestige.help
+});
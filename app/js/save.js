@@ -1,5 +1,6 @@
 skidinc.save = {};
 skidinc.save.name = 'SKINC',
+skidinc.save.events = ['purchase:script', 'purchase:autoscript', 'purchase:server', 'purchase:battery', 'purchase:multiplier', 'purchase:slot', 'purchase:botnet', 'achievement:unlocked', 'prestige:reset', 'challenge:started', 'challenge:completed', 'challenge:abandoned'];
 
 skidinc.save.b64uEncode = function(what) {
 	return btoa(encodeURIComponent(what).replace(/%([0-9A-F]{2})/g, function(match, p1) {
@@ -13,10 +14,63 @@ skidinc.save.b64uDecode = function(what) {
 	}).join(''));
 };
 
-skidinc.save.saveNow = function(direct) {
-    var str = skidinc.save.b64uEncode(JSON.stringify(skidinc));
+// modules saved with their serialize()/deserialize() pair, only their mutable
+// state is written.
+skidinc.save.modules = ['player', 'script', 'autoscript', 'server', 'battery', 'options', 'achievements', 'console', 'tutorial', 'offline', 'botnet', 'prestige', 'challenge'];
+
+// last serialized state of each module, a module is dirty when its state
+// differs from it.
+skidinc.save.cache = {};
+
+skidinc.save.serialize = function() {
+    var save = {
+        version: skidinc.version,
+        before: skidinc.before
+    };
+    
+    skidinc.save.modules.forEach(function(id) {
+        save[id] = skidinc[id].serialize();
+    });
+    
+    return save;
+};
+
+// serializes every module and returns the ones changed since the last call.
+skidinc.save.getDirty = function() {
+    return skidinc.save.modules.filter(function(id) {
+        var str = JSON.stringify(skidinc[id].serialize());
+        
+        if (str === skidinc.save.cache[id])
+            return false;
+        
+        skidinc.save.cache[id] = str;
+        return true;
+    });
+};
+
+// save string built from the cached module states, call getDirty first.
+skidinc.save.stringify = function() {
+    var str = '{"version":' + JSON.stringify(skidinc.version) + ',"before":' + JSON.stringify(skidinc.before);
+    
+    skidinc.save.modules.forEach(function(id) {
+        str += ',"' + id + '":' + skidinc.save.cache[id];
+    });
+    
+    return str + '}';
+};
+
+// the save is only written when a module changed, before (the last tick date)
+// alone doesn't make it dirty. direct and forced saves are always written.
+skidinc.save.saveNow = function(direct, force) {
+    var dirty = skidinc.save.getDirty();
+    
+    if (!dirty.length && !direct && !force)
+        return;
+    
+    var str = skidinc.save.b64uEncode(skidinc.save.stringify());
     
     localStorage.setItem(skidinc.save.name, str);
+    skidinc.slots.write(str);
     
     if (direct)
         return skidinc.console.print('<z>SAVE</z> game saved.');
@@ -35,63 +89,200 @@ skidinc.save.eraseNow = function() {
     location.reload();
 };
 
-skidinc.save.loadNow = function() {
-    if (localStorage.getItem(skidinc.save.name) == null)
-        return console.info('No save found...');
-    
-    var str = localStorage.getItem(skidinc.save.name),
-        save = JSON.parse(skidinc.save.b64uDecode(str));
-    
-    skidinc.before = save.before;
-    
-    skidinc.achievements.owned = save.achievements.owned;
-    
-    skidinc.autoscript.unlocked = save.autoscript.unlocked;
+// ordered save migrations, each one upgrades a plain save object from the
+// previous version to its version and fills the fields added in it. the last
+// one is skidinc.version, tested with the saves in test/fixtures/saves.
+skidinc.save.migrations = [{
+    version: 0.31,
+    migrate: function(save) {
+        save.player.botnet = 0;
+        save.player.prestigeCount = 0;
+    }
+}, {
+    version: 0.32,
+    migrate: function(save) {
+        save.battery = {
+            level: 1,
+            time: 0
+        };
+    }
+}, {
+    version: 0.33,
+    migrate: function(save) {
+        save.console = save.console || {};
+        save.console.grammarly = false;
+    }
+}, {
+    version: 0.34,
+    migrate: function(save) {
+        save.player.multiplierLevel = 0;
+    }
+}, {
+    version: 0.35,
+    migrate: function(save) {
+        save.offline = {
+            cap: 43200
+        };
+    }
+}, {
+    // exp requirement could overflow to Infinity, serialized as null.
+    version: 0.36,
+    migrate: function(save) {
+        if (BigNum.from(save.player.expReq).lte(0))
+            save.player.expReq = skidinc.player.getExpReq(save.player.level).toJSON();
+    }
+}, {
+    version: 0.37,
+    migrate: function(save) {
+        save.console.history = [];
+        save.console.aliases = {};
+        save.console.macros = {};
+    }
+}, {
+    version: 0.38,
+    migrate: function(save) {
+        save.script.queue = [];
+    }
+}, {
+    // a single script could run, it goes in the first slot.
+    version: 0.39,
+    migrate: function(save) {
+        var slot = skidinc.script.createSlot();
+        
+        if (!save.script.available && save.script.current !== null) {
+            slot.current = save.script.current;
+            slot.time = save.script.time;
+            slot.maxTime = save.script.maxTime;
+        };
+        
+        save.script.slots = [slot];
+        
+        delete save.script.available;
+        delete save.script.current;
+        delete save.script.time;
+        delete save.script.maxTime;
+    }
+}, {
+    // owned levels were an array in the [telnet, web] order.
+    version: 0.40,
+    migrate: function(save) {
+        save.server.owned = {
+            telnet: save.server.owned[0],
+            web: save.server.owned[1]
+        };
+    }
+}, {
+    version: 0.41,
+    migrate: function(save) {
+        save.options.roi = false;
+    }
+}, {
+    version: 0.42,
+    migrate: function(save) {
+        save.botnet = {
+            owned: {},
+            spent: 0
+        };
+    }
+}, {
+    // the current run started at an unknown date.
+    version: 0.43,
+    migrate: function(save) {
+        save.prestige = save.prestige || {};
+        save.prestige.history = [];
+        save.prestige.run = {
+            start: null,
+            money: 0,
+            completed: 0
+        };
+    }
+}, {
+    version: 0.44,
+    migrate: function(save) {
+        save.challenge = {
+            active: null,
+            completed: {}
+        };
+    }
+}, {
+    // achievements owned before have no unlock date.
+    version: 0.45,
+    migrate: function(save) {
+        save.achievements.dates = save.achievements.owned.map(function() {
+            return null;
+        });
+    }
+}, {
+    version: 0.46,
+    migrate: function(save) {
+        save.console.counters = {
+            unknown: 0,
+            clear: 0
+        };
+    }
+}];
+
+// saves older than the first migration are handled as 0.30 saves.
+skidinc.save.firstVersion = 0.30;
+
+// returns a copy of the save upgraded to the current version, the given save
+// is left untouched.
+skidinc.save.migrate = function(save) {
+    save = JSON.parse(JSON.stringify(save));
     
-    skidinc.options.typed = save.options.typed;
+    // desktop saves may store the version as a string.
+    save.version = Number(save.version);
     
-    skidinc.script.unlocked = save.script.unlocked;
-    skidinc.script.completed = save.script.completed;
-    skidinc.script.totalCompleted = save.script.totalCompleted;
-    skidinc.script.available = save.script.available;
-    skidinc.script.current = save.script.current;
-    skidinc.script.time = save.script.time;
-    skidinc.script.maxTime = save.script.maxTime;
+    if (!(save.version >= skidinc.save.firstVersion))
+        save.version = skidinc.save.firstVersion;
     
-    skidinc.server.owned = save.server.owned;
+    skidinc.save.migrations.forEach(function(migration) {
+        if (save.version >= migration.version)
+            return;
+        
+        migration.migrate(save);
+        save.version = migration.version;
+    });
     
-    skidinc.tutorial.finish = save.tutorial.finish;
+    if (save.version < skidinc.version)
+        save.version = skidinc.version;
     
-    skidinc.player.username = save.player.username;
-    skidinc.player.money = save.player.money;
-    skidinc.player.totalMoney = save.player.totalMoney;
-    skidinc.player.exp = save.player.exp;
-    skidinc.player.totalExp = save.player.totalExp;
-    skidinc.player.expReq = save.player.expReq;
-    skidinc.player.level = save.player.level;
+    return save;
+};
+
+// applies a migrated save to the game, modules and fields missing from the
+// save (desktop saves don't have all of them) keep their current state.
+skidinc.save.deserialize = function(save) {
+    if (typeof save.before == 'number')
+        skidinc.before = save.before;
     
-    if (save.version >= 0.31) {
-        skidinc.player.botnet = save.player.botnet;
-        skidinc.player.prestigeCount = save.player.prestigeCount;
-    };
+    skidinc.save.modules.forEach(function(id) {
+        if (save[id] === null || typeof save[id] !== 'object')
+            return;
+        
+        var data = skidinc[id].serialize();
+        
+        for (var key in save[id])
+            data[key] = save[id][key];
+        
+        skidinc[id].deserialize(JSON.parse(JSON.stringify(data)));
+    });
+};
 
-    if (save.version >= 0.34) {
-        skidinc.player.multiplierLevel = save.player.multiplierLevel;
-    };
+skidinc.save.loadNow = function() {
+    if (localStorage.getItem(skidinc.save.name) == null)
+        return console.info('No save found...');
     
-    if (save.version >= 0.32) {
-        skidinc.battery.level = save.battery.level;
-        skidinc.battery.time = save.battery.time;
-    };
+    var str = localStorage.getItem(skidinc.save.name),
+        save = JSON.parse(skidinc.save.b64uDecode(str));
     
-    if (save.version >= 0.33)
-        skidinc.console.grammarly = save.console.grammarly;
+    skidinc.save.deserialize(skidinc.save.migrate(save));
     
     return console.info('Save found and loaded.', save.version);
 };
 
 skidinc.save.soft = function() {
-    if (skidinc.prestige.botnetOnReset == 0) {
+    if (skidinc.prestige.botnetOnReset.lte(0)) {
         $('#prestige-button').html('You need to gain at least 1 botnet').removeClass('btn-outline-info').addClass('btn-outline-danger');
         
         setTimeout(function() {
@@ -101,32 +292,319 @@ skidinc.save.soft = function() {
         return;
     };
     
+    skidinc.save.reset(true);
+};
+
+// resets the run in place, used by the prestige button and challenges. only a
+// prestige earns botnets and adds a history row, run is null otherwise.
+skidinc.save.reset = function(prestige) {
+    // loops are stopped while modules reset and restarted on the new run, the
+    // prestige:reset listeners (saves, DOM) only see the post-prestige state.
     clearInterval(skidinc.loops.core);
     clearInterval(skidinc.loops.achievements);
     clearInterval(skidinc.loops.save);
     
-    skidinc.player.botnet += skidinc.prestige.botnetOnReset;
+    var gained = prestige ? skidinc.prestige.botnetOnReset : BigNum.from(0),
+        run = null;
+    
+    if (prestige)
+        run = skidinc.prestige.record(gained);
+    else
+        skidinc.prestige.startRun();
+    
+    skidinc.player.botnet = skidinc.player.botnet.add(gained);
     
     skidinc.autoscript.prestige();
     skidinc.script.prestige();
     skidinc.server.prestige();
     skidinc.player.prestige();
     skidinc.battery.prestige();
+    skidinc.challenge.prestige();
+    skidinc.prestige.loop(1);
     
-    skidinc.save.saveNow();
-    location.reload();
+    skidinc.events.emit('prestige:reset', {
+        botnet: skidinc.player.botnet,
+        gained: gained,
+        run: run
+    });
+    
+    skidinc.startLoop();
+    skidinc.achievements.startLoop();
+    skidinc.save.startLoop();
+};
+
+skidinc.save.startLoop = function() {
+    skidinc.loops.save = setInterval(function() {
+        skidinc.save.saveNow();
+    }, 500);
 };
 
 skidinc.save.init = function() {
     skidinc.save.loadNow();
+    skidinc.slots.init();
     
     skidinc.achievements.saveInit();
+    skidinc.offline.run();
     
-    skidinc.loops.save = setInterval(function() {
-        skidinc.save.saveNow();
-    }, 500);
+    skidinc.save.startLoop();
+    
+    skidinc.save.events.forEach(function(type) {
+        skidinc.events.on(type, function() {
+            skidinc.save.saveNow();
+        });
+    });
     
     window.onbeforeunload = function() {
-        skidinc.save.saveNow();
+        skidinc.save.saveNow(false, true);
     };
 };
+
+// export strings are 'SKINC:<version>:<checksum>:<data>', data is the
+// b64uEncode'd save in the url-safe alphabet since '/' can't be typed in the
+// console. the checksum is a FNV-1a hash of data.
+skidinc.save.exportHeader = 'SKINC';
+
+skidinc.save.checksum = function(str) {
+    return SkidSave.checksum(str);
+};
+
+skidinc.save.toUrlSafe = function(str) {
+    return str.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+skidinc.save.fromUrlSafe = function(str) {
+    str = str.replace(/-/g, '+').replace(/_/g, '/');
+    
+    while (str.length % 4)
+        str += '=';
+    
+    return str;
+};
+
+skidinc.save.getExport = function() {
+    skidinc.save.getDirty();
+    
+    var data = skidinc.save.toUrlSafe(skidinc.save.b64uEncode(skidinc.save.stringify()));
+    
+    return [skidinc.save.exportHeader, skidinc.version, skidinc.save.checksum(data), data].join(':');
+};
+
+// returns the save of an export string, or an error string.
+skidinc.save.parseExport = function(str) {
+    var parts = str.trim().split(':'),
+        save;
+    
+    if (parts.length !== 4 || parts[0] !== skidinc.save.exportHeader)
+        return '<x>ERR</x> this is not a save export string, it should start with <b>' + skidinc.save.exportHeader + ':</b>.';
+    
+    var version = Number(parts[1]);
+    
+    if (parts[1] == '' || isNaN(version))
+        return '<x>ERR</x> the save version <b>' + parts[1] + '</b> is invalid.';
+    if (version > skidinc.version)
+        return '<x>ERR</x> this save comes from a newer version (<b>v' + version + '</b>), update the game first.';
+    if (skidinc.save.checksum(parts[3]) !== parts[2])
+        return '<x>ERR</x> the save string is corrupted (checksum mismatch), copy it again.';
+    
+    try {
+        save = JSON.parse(skidinc.save.b64uDecode(skidinc.save.fromUrlSafe(parts[3])));
+    }
+    catch (e) {
+        return '<x>ERR</x> the save string can\'t be decoded.';
+    };
+    
+    if (save === null || typeof save !== 'object' || typeof save.player !== 'object' || save.version !== version)
+        return '<x>ERR</x> the save string doesn\'t contain a valid save.';
+    
+    return save;
+};
+
+skidinc.save.exportNow = function() {
+    var str = '<y>SAVE EXPORT</y> copy the string below, load it in another browser with <b>save import [string]</b>:<br>' +
+        '<span class="save-export">' + skidinc.save.getExport() + '</span>';
+    
+    // typing a whole save would take minutes.
+    return skidinc.console.print(str, null, true);
+};
+
+// replaces the current game with a decoded save after a confirmation.
+skidinc.save.replace = function(save) {
+    var conf = confirm('Importing this save (v' + save.version + ') will overwrite your current progress!');
+    
+    if (!conf)
+        return skidinc.console.print('<w>WARN</w> save import cancelled.');
+    
+    window.onbeforeunload = function() {};
+    clearInterval(skidinc.loops.save);
+    
+    localStorage.setItem(skidinc.save.name, skidinc.save.b64uEncode(JSON.stringify(save)));
+    location.reload();
+};
+
+skidinc.save.importNow = function(str) {
+    var save = skidinc.save.parseExport(str);
+    
+    if (typeof save == 'string')
+        return skidinc.console.print(save);
+    
+    return skidinc.save.replace(save);
+};
+
+// returns an error string for a decoded save the game can't load, null otherwise.
+skidinc.save.validate = function(save) {
+    if (save === null || typeof save !== 'object' || save.player === null || typeof save.player !== 'object')
+        return '<x>ERR</x> this doesn\'t contain a valid save.';
+    if (Number(save.version) > skidinc.version)
+        return '<x>ERR</x> this save comes from a newer version (<b>v' + save.version + '</b>), update the game first.';
+    
+    return null;
+};
+
+skidinc.save.toFile = function() {
+    skidinc.save.getDirty();
+    
+    return SkidSave.build(skidinc.save.stringify(), skidinc.version, 'none');
+};
+
+// desktop saves may be gzipped, browsers without DecompressionStream can't read them.
+skidinc.save.gunzip = function(base64, callback) {
+    if (typeof DecompressionStream == 'undefined')
+        return callback('<x>ERR</x> this browser can\'t read compressed save files.');
+    
+    var bytes = Uint8Array.from(atob(base64), function(c) {
+        return c.charCodeAt(0);
+    });
+    
+    new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text().then(function(text) {
+        callback(null, text);
+    }, function() {
+        callback('<x>ERR</x> the save file can\'t be decompressed.');
+    });
+};
+
+// callback gets (error string, save) for the content of a .skidsave file.
+skidinc.save.readFile = function(str, callback) {
+    var container;
+    
+    try {
+        container = SkidSave.parse(str);
+    }
+    catch (e) {
+        return callback('<x>ERR</x> ' + e.message + '.');
+    };
+    
+    var parse = function(error, json) {
+        var save;
+        
+        if (error)
+            return callback(error);
+        
+        try {
+            save = JSON.parse(json);
+        }
+        catch (e) {
+            return callback('<x>ERR</x> the save file can\'t be decoded.');
+        };
+        
+        var invalid = skidinc.save.validate(save);
+        
+        if (invalid)
+            return callback(invalid);
+        
+        return callback(null, save);
+    };
+    
+    if (container.compression == 'gzip')
+        return skidinc.save.gunzip(container.payload, parse);
+    
+    return parse(null, container.payload);
+};
+
+skidinc.save.download = function() {
+    var blob = new Blob([skidinc.save.toFile()], {
+            type: 'application/octet-stream'
+        }),
+        link = document.createElement('a');
+    
+    link.href = URL.createObjectURL(blob);
+    link.download = 'skidinc-' + skidinc.prestige.formatDate(new Date().getTime()).replace(/[ :]/g, '-') + SkidSave.extension;
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    
+    return skidinc.console.print('<z>SAVE</z> save downloaded as <b>' + link.download + '</b>.');
+};
+
+skidinc.save.upload = function() {
+    $('#option-upload-file').val('').trigger('click');
+};
+
+skidinc.save.uploadFile = function(file) {
+    var reader = new FileReader();
+    
+    reader.onload = function() {
+        skidinc.save.readFile(reader.result, function(error, save) {
+            if (error)
+                return skidinc.console.print(error);
+            
+            return skidinc.save.replace(save);
+        });
+    };
+    reader.onerror = function() {
+        skidinc.console.print('<x>ERR</x> <b>' + file.name + '</b> can\'t be read.');
+    };
+    
+    reader.readAsText(file);
+};
+
+skidinc.save.help = function() {
+    var str = '<y>SAVE HELP</y> manage your save:<br>' +
+        '<b>-</b> <b>save</b> alone saves the game now.<br>' +
+        '<b>-</b> <b>save export</b> prints your save as a string to copy.<br>' +
+        '<b>-</b> <b>save import [string]</b> replaces your progress with an exported save, after a confirmation.<br>' +
+        '<b>-</b> <b>save download</b> saves your game as a <b>.skidsave</b> file, also read by the desktop version.<br>' +
+        '<b>-</b> <b>save upload</b> loads a <b>.skidsave</b> file, after a confirmation.<br>' +
+        '<b>-</b> <b>save slot list</b> shows your save slots, their last played date and stats.<br>' +
+        '<b>-</b> <b>save slot new [name]</b> starts a new game in a new slot, your current game stays in its slot.<br>' +
+        '<b>-</b> <b>save slot switch [id|name]</b> saves the current game and loads another slot.<br>' +
+        '<b>-</b> <b>save slot delete [id|name]</b> deletes a slot, after a confirmation.';
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.save.execute = function(args) {
+    if (!args.length)
+        return skidinc.save.saveNow(true);
+    
+    if (args[0] == 'export')
+        return skidinc.save.exportNow();
+    
+    if (args[0] == 'import') {
+        if (args.length < 2)
+            return skidinc.console.print('<x>ERR</x> paste the exported string after <b>save import</b>.');
+        
+        return skidinc.save.importNow(args[1]);
+    };
+    
+    if (args[0] == 'download')
+        return skidinc.save.download();
+    
+    if (args[0] == 'upload')
+        return skidinc.save.upload();
+    
+    if (args[0] == 'slot')
+        return skidinc.slots.execute(args.length > 1 ? args[1].trim().split(/\s+/) : []);
+    
+    return skidinc.console.print('<x>ERR</x> <b>' + args[0] + '</b> is not a save action, see <b>save -h</b>.');
+};
+
+skidinc.console.register({
+    id: 'save',
+    desc: 'save the game, export, import or switch saves.',
+    args: ['[action]', '[string...]'],
+    handler: skidinc.save.execute,
+    help: skidinc.save.help,
+    complete: [['export', 'import', 'download', 'upload', 'slot'], ['list', 'new', 'switch', 'delete']]
+});
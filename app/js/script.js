@@ -1,11 +1,18 @@
 skidinc.script = {};
 skidinc.script.secondArgs = [];
  
-skidinc.script.available = true;
-skidinc.script.current = null;
-skidinc.script.time = 0;
-skidinc.script.maxTime = 0;
 skidinc.script.maxBar = 40;
+skidinc.script.run = 0;
+
+// each slot runs one manual script at a time, see skidinc.script.createSlot.
+skidinc.script.slots = [];
+skidinc.script.maxSlots = 4;
+skidinc.script.slotCost = 25000;
+skidinc.script.slotInflation = 40;
+
+// scripts started one after another by skidinc.script.finish, [{ id, count }]
+skidinc.script.queue = [];
+skidinc.script.maxQueue = 100;
 
 skidinc.script.unlocked = [];
 skidinc.script.completed = [];
@@ -79,69 +86,189 @@ skidinc.script.getDefaultScripts = function() {
     }];
 };
 
+skidinc.script.setScripts = function(data) {
+    var scripts = data && data.scripts ? data.scripts : data;
+
+    if (!Array.isArray(scripts) || scripts.length === 0)
+        scripts = skidinc.script.getDefaultScripts();
+
+    skidinc.script.scripts = scripts.map(function(script, index) {
+        if (!script || !script.id)
+            return null;
+
+        return {
+            id: script.id,
+            cost: script.cost,
+            money: script.money,
+            exp: script.exp,
+            time: script.time,
+            autoscriptCost: script.autoscriptCost,
+            i: index
+        };
+    }).filter(Boolean);
+
+    if (skidinc.script.scripts.length === 0) {
+        skidinc.script.scripts = skidinc.script.getDefaultScripts().map(function(script, index) {
+            script.i = index;
+            return script;
+        });
+    }
+};
+
 skidinc.script.load = function(callback) {
     $.getJSON('app/data/scripts.json')
         .done(function(data) {
-            var scripts = data && data.scripts ? data.scripts : data;
-
-            if (!Array.isArray(scripts) || scripts.length === 0)
-                scripts = skidinc.script.getDefaultScripts();
-
-            skidinc.script.scripts = scripts.map(function(script, index) {
-                if (!script || !script.id)
-                    return null;
-
-                return {
-                    id: script.id,
-                    cost: script.cost,
-                    money: script.money,
-                    exp: script.exp,
-                    time: script.time,
-                    autoscriptCost: script.autoscriptCost,
-                    i: index
-                };
-            }).filter(Boolean);
-
-            if (skidinc.script.scripts.length === 0) {
-                skidinc.script.scripts = skidinc.script.getDefaultScripts().map(function(script, index) {
-                    script.i = index;
-                    return script;
-                });
-            }
+            skidinc.script.setScripts(data);
 
             if (typeof callback === 'function')
                 callback();
         })
         .fail(function() {
-            skidinc.script.scripts = skidinc.script.getDefaultScripts();
-
-            skidinc.script.scripts = skidinc.script.scripts.map(function(script, index) {
-                script.i = index;
-                return script;
-            });
+            skidinc.script.setScripts(null);
 
             if (typeof callback === 'function')
                 callback();
         });
 };
 
+skidinc.script.getCost = function(script) {
+    return BigNum.from(script.cost).mul(1 - skidinc.botnet.getEffect('cracked')).floor();
+};
+
+skidinc.script.getMoney = function(script) {
+    return BigNum.from(script.money).mul(skidinc.player.getMoneyMult());
+};
+
+skidinc.script.getExp = function(script) {
+    return BigNum.from(script.exp).mul(skidinc.player.getExpMult());
+};
+
+skidinc.script.getScript = function(id) {
+    for (var i = 0; i < skidinc.script.scripts.length; i++) {
+        if (skidinc.script.scripts[i].id == id)
+            return skidinc.script.scripts[i];
+    };
+    
+    return null;
+};
+
+// run is the id of the current run, finishedRun and barRun are used to finalize the slot bar.
+skidinc.script.createSlot = function() {
+    return {
+        current: null,
+        time: 0,
+        maxTime: 0,
+        run: -1,
+        finishedRun: -1,
+        barRun: -1
+    };
+};
+
+skidinc.script.resetSlot = function(slot) {
+    slot.current = null;
+    slot.time = 0;
+    slot.maxTime = 0;
+};
+
+skidinc.script.getFreeSlot = function() {
+    for (var i = 0; i < skidinc.script.slots.length; i++) {
+        if (skidinc.script.slots[i].current === null)
+            return i;
+    };
+    
+    return -1;
+};
+
+skidinc.script.getBusySlots = function() {
+    return skidinc.script.slots.filter(function(slot) {
+        return slot.current !== null;
+    });
+};
+
 skidinc.script.isExecuted = function() {
-    var executed = !this.available;
+    var executed = skidinc.script.getBusySlots().length > 0;
     return executed.toString();
 };
 
 skidinc.script.getName = function() {
-    if (this.available)
+    var busy = skidinc.script.getBusySlots();
+    
+    if (!busy.length)
         return 'none';
-    else
-        return this.current.id;
+    
+    return busy.map(function(slot) {
+        return slot.current.id;
+    }).join(', ');
+};
+
+skidinc.script.getTime = function() {
+    var busy = skidinc.script.getBusySlots();
+    
+    if (!busy.length)
+        return fix(0, 2) + 's';
+    
+    return busy.map(function(slot) {
+        return fix(slot.time, 2) + 's';
+    }).join(', ');
+};
+
+// the first slot is free, slot levels start at 0 with the second one.
+skidinc.script.getSlotUpgrade = function() {
+    return {
+        price: skidinc.script.slotCost,
+        inflation: skidinc.script.slotInflation,
+        level: skidinc.script.slots.length - 1,
+        max: skidinc.script.maxSlots - 1
+    };
+};
+
+skidinc.script.getSlotCost = function() {
+    return skidinc.buy.getCost(skidinc.script.getSlotUpgrade(), 1);
+};
+
+skidinc.script.listSlots = function() {
+    var str = '<b>*</b> <b>' + skidinc.script.slots.length + '/' + skidinc.script.maxSlots + '</b> execution slots';
+    
+    if (skidinc.script.slots.length >= skidinc.script.maxSlots)
+        return str + ', max reached.';
+    
+    return str + ', next slot cost <b>$' + fix(skidinc.script.getSlotCost(), 0) + '</b>.';
+};
+
+skidinc.script.buySlot = function(amount) {
+    var quote = skidinc.buy.quote(skidinc.script.getSlotUpgrade(), amount || 1);
+    
+    if (quote.error == 'max')
+        return skidinc.console.print('<x>ERR</x> you already have the maximum of <b>' + skidinc.script.maxSlots + '</b> execution slots.');
+    if (quote.error == 'exceed')
+        return skidinc.console.print('<x>ERR</x> you can only have <b>' + skidinc.script.maxSlots + '</b> execution slots, <b>' + quote.amount + '</b> more would exceed it.');
+    if (quote.error == 'money' && quote.amount <= 1)
+        return skidinc.console.print('<x>ERR</x> not enough money to buy a new execution slot (cost <b>$' + fix(quote.cost, 0) + '</b>).');
+    if (quote.error == 'money')
+        return skidinc.console.print('<x>ERR</x> not enough money to buy <b>' + quote.amount + '</b> execution slots (total cost of <b>$' + fix(quote.cost, 0) + '</b>).');
+    
+    skidinc.player.money = skidinc.player.money.sub(quote.cost);
+    
+    for (var i = 0; i < quote.amount; i++)
+        skidinc.script.slots.push(skidinc.script.createSlot());
+    
+    skidinc.events.emit('purchase:slot', {
+        slots: skidinc.script.slots.length,
+        amount: quote.amount,
+        cost: quote.cost
+    });
+    
+    skidinc.script.next();
 };
 
 skidinc.script.help = function() {
     var str = '<y>SCRIPT HELP</y> execute scripts to earn money and experience:<br>' +
         '<b>-</b> to execute a script you must put the <b>script name</b> as the first argument.<br>' +
         '<b>-</b> you can get a list of all available scripts with <b>-l/-list</b> argument.<br>' +
-        '<b>-</b> to stop a script, use the argument <b>-c/-cancel</b>.';
+        '<b>-</b> to stop a script, use the argument <b>-c/-cancel</b>.<br>' +
+        '<b>-</b> you can run as many scripts at once as you have execution slots (<b>buy slot</b>).<br>' +
+        '<b>-</b> <b>script queue [name] -n [count]</b> runs a script when a slot is free, <b>-n</b> is optional.<br>' +
+        '<b>-</b> see the queue with <b>script queue -l</b>, empty it with <b>script queue -clear</b>.';
     
     return skidinc.console.print(str);
 };
@@ -153,8 +280,8 @@ skidinc.script.list = function() {
         var i = script,
             script = skidinc.script.scripts[i],
             unlocked = skidinc.script.unlocked[script.i],
-            money = script.money * skidinc.player.getMoneyMult(),
-            exp = script.exp * skidinc.player.getExpMult(),
+            money = skidinc.script.getMoney(script),
+            exp = skidinc.script.getExp(script),
             time = script.time / skidinc.player.getTimeMult();
         
         str += '<b>-</b> <b>';
@@ -164,7 +291,7 @@ skidinc.script.list = function() {
         else
             str += '<green>' + script.id + '</green>';
         
-        str += '</b>: <b>+$' + fix(money, 0) + '</b> and <b>+' + fix(exp, 0) + ' exp</b>, cost <b>$' + fix(script.cost, 0) + '</b>, execution takes <b>' + fix(time, 0) + ' sec</b>.<br>';
+        str += '</b>: <b>+$' + fix(money, 0) + '</b> and <b>+' + fix(exp, 0) + ' exp</b>, cost <b>$' + fix(skidinc.script.getCost(script), 0) + '</b>, execution takes <b>' + fix(time, 0) + ' sec</b>.<br>';
     };
     
     return skidinc.console.print(str);
@@ -174,79 +301,204 @@ skidinc.script.listBuy = function() {
     return '<b>*</b> type <b>script -l/-list</b> for a detailed list of scripts.';
 };
 
-skidinc.script.execute = function(args) {
-    var exists = false,
-        s;
+skidinc.script.execute = function(args, flags) {
+    if (args[0] == 'queue')
+        return skidinc.script.queueCommand(args[1], flags);
     
-    for (var script in skidinc.script.scripts) {
-        var i = script,
-            script = skidinc.script.scripts[i];
-        
-        if (args[0] == script.id) {
-            exists = true;
-            s = script;
-        };
-    };
+    if (args.length > 1)
+        return skidinc.console.print('<x>ERR</x> <b>script</b> takes at most <b>1</b> argument(s).');
+    if (typeof flags.n !== 'undefined' || flags.l || flags.clear)
+        return skidinc.console.print('<x>ERR</x> <b>-n</b>, <b>-l</b> and <b>-clear</b> arguments only work with <b>script queue</b>.');
     
-    if (!exists)
+    var s = skidinc.script.getScript(args[0]);
+    
+    if (s == null)
         return skidinc.console.print('<x>ERR</x> <b>' + args[0] + '</b> is not valid script name.');
     
-    if ((args[1] == '-c' || args[1] == '-cancel') && args.length > 1)
+    if (flags.c)
         return skidinc.script.stop(s);
     
-    if (exists && args.length == 1)
-        return skidinc.script.start(s);
+    return skidinc.script.start(s);
+};
+
+// returns why the script can't be started, null if it can.
+skidinc.script.canStart = function(script) {
+    if (skidinc.autoscript.unlocked[script.i])
+        return '<x>ERR</x> you already have an autoscript for <b>' + script.id + '</b> script.';
+    
+    if (!skidinc.script.unlocked[script.i])
+        return '<x>ERR</x> you haven\'t unlocked the <b>' + script.id + '</b> script.';
+    
+    return null;
 };
 
 skidinc.script.start = function(script) {
-    if (!skidinc.script.available)
-        return skidinc.console.print('<x>ERR</x> you can\'t execute multiple scripts at once.');
+    var index = skidinc.script.getFreeSlot();
     
-    if (skidinc.autoscript.unlocked[script.i])
-        return skidinc.console.print('<x>ERR</x> you already have an autoscript for <b>' + script.id + '</b> script.');
+    if (index == -1)
+        return skidinc.console.print('<x>ERR</x> all your <b>' + skidinc.script.slots.length + '</b> execution slots are busy, use <b>script queue ' + script.id + '</b> to run it next.');
+    
+    var error = skidinc.script.canStart(script);
+    
+    if (error !== null)
+        return skidinc.console.print(error);
+    
+    skidinc.script.begin(index, script);
+    
+    skidinc.events.emit('script:started', {
+        script: script,
+        slot: index
+    });
+};
+
+// put a script in a slot without any check.
+skidinc.script.begin = function(index, script) {
+    var slot = skidinc.script.slots[index];
+    
+    slot.run = ++skidinc.script.run;
+    slot.current = script;
+    slot.time = script.time / skidinc.player.getTimeMult();
+    slot.maxTime = slot.time;
+};
+
+skidinc.script.getQueueLength = function() {
+    return skidinc.script.queue.reduce(function(a, entry) {
+        return a + entry.count;
+    }, 0);
+};
+
+skidinc.script.getQueueName = function() {
+    if (!skidinc.script.queue.length)
+        return 'none';
+    
+    return skidinc.script.queue.map(function(entry) {
+        return entry.id + (entry.count > 1 ? ' x' + entry.count : '');
+    }).join(', ');
+};
+
+skidinc.script.listQueue = function() {
+    var str = '<y>SCRIPT QUEUE</y>';
+    
+    if (!skidinc.script.queue.length)
+        return skidinc.console.print(str + ' is empty, add scripts with <b>script queue [name] -n [count]</b>.');
+    
+    str += ' (<b>' + skidinc.script.getQueueLength() + '</b> runs):<br>';
+    
+    skidinc.script.queue.forEach(function(entry, i) {
+        str += '<b>' + (i + 1) + '.</b> <b>' + entry.id + '</b> x' + entry.count + '<br>';
+    });
+    
+    return skidinc.console.print(str);
+};
+
+skidinc.script.queueCommand = function(id, flags) {
+    if (flags.l)
+        return skidinc.script.listQueue();
+    
+    if (flags.clear) {
+        skidinc.script.queue = [];
         
-    if (!skidinc.script.unlocked[script.i])
-        return skidinc.console.print('<x>ERR</x> you haven\'t unlocked the <b>' + script.id + '</b> script.');
+        return skidinc.console.print('<y>SCRIPT QUEUE</y> cleared.');
+    };
     
-    var el = (!skidinc.tutorial.finish && skidinc.tutorial.enabled) ? '#intro-logs' : '#logs';
+    if (typeof id == 'undefined')
+        return skidinc.console.print('<x>ERR</x> put the name of the script to queue, like <b>script queue ' + skidinc.script.scripts[0].id + '</b>.');
     
-    skidinc.script.available = false;
-    skidinc.script.current = script;
-    skidinc.script.time = script.time / skidinc.player.getTimeMult();
-    skidinc.script.maxTime = script.time / skidinc.player.getTimeMult();
-    skidinc.console.print('<z>SCRIPT STARTED</z>: <b>' + script.id + '</b>.');
+    var script = skidinc.script.getScript(id),
+        count = (typeof flags.n == 'undefined') ? 1 : Math.floor(flags.n);
     
+    if (script == null)
+        return skidinc.console.print('<x>ERR</x> <b>' + id + '</b> is not valid script name.');
     
-    $(el).append('<span id="script-bar">|========================================|</span>');
+    if (count < 1)
+        return skidinc.console.print('<x>ERR</x> <b>-n</b> argument must be at least <b>1</b>.');
+    
+    if (skidinc.script.getQueueLength() + count > skidinc.script.maxQueue)
+        return skidinc.console.print('<x>ERR</x> the queue can\'t hold more than <b>' + skidinc.script.maxQueue + '</b> runs.');
+    
+    var error = skidinc.script.canStart(script);
+    
+    if (error !== null)
+        return skidinc.console.print(error);
+    
+    var last = skidinc.script.queue[skidinc.script.queue.length - 1];
+    
+    if (last && last.id == script.id)
+        last.count += count;
+    else
+        skidinc.script.queue.push({
+            id: script.id,
+            count: count
+        });
+    
+    skidinc.console.print('<y>SCRIPT QUEUE</y> <b>' + script.id + '</b> queued' + (count > 1 ? ' <b>' + count + ' times</b>' : '') + '.');
+    
+    skidinc.script.next();
+};
+
+// takes the next startable script out of the queue, null if there is none.
+skidinc.script.shiftQueue = function() {
+    while (skidinc.script.queue.length) {
+        var entry = skidinc.script.queue[0],
+            script = skidinc.script.getScript(entry.id);
+        
+        entry.count--;
+        
+        if (entry.count <= 0)
+            skidinc.script.queue.shift();
+        
+        var error = (script == null) ? '<x>ERR</x> <b>' + entry.id + '</b> is not valid script name.' : skidinc.script.canStart(script);
+        
+        if (error === null)
+            return script;
+        
+        skidinc.console.print('<w>WARN</w> queued script skipped: ' + error.replace('<x>ERR</x> ', ''));
+    };
+    
+    return null;
+};
+
+// fill the free slots with queued scripts.
+skidinc.script.next = function() {
+    while (skidinc.script.getFreeSlot() > -1 && skidinc.script.queue.length) {
+        var script = skidinc.script.shiftQueue();
+        
+        if (script !== null)
+            skidinc.script.start(script);
+    };
 };
 
 skidinc.script.stop = function(script) {
-    if (skidinc.script.available)
+    var busy = skidinc.script.getBusySlots();
+    
+    if (!busy.length)
         return skidinc.console.print('<x>ERR</x> there are no script executed.');
     
     if (skidinc.autoscript.unlocked[script.i])
         return skidinc.console.print('<x>ERR</x> you can\'t stop the autoscript for <b>' + script.id + '</b> script.');
     
-    if (script.id !== skidinc.script.current.id)
+    var slot = busy.filter(function(slot) {
+        return slot.current.id == script.id;
+    })[0];
+    
+    if (typeof slot == 'undefined')
         return skidinc.console.print('<x>ERR</x> this script is not executed.');
     
-    skidinc.console.print('<y>SCRIPT STOPPED</y>: <b>' + skidinc.script.scripts[skidinc.script.current.i].id + '</b>.');
-    skidinc.script.available = true;
-    skidinc.script.current = null;
-    skidinc.script.time = 0;
-    skidinc.script.maxTime = 0;
-};
-
-skidinc.script.finish = function() {
-    var script = skidinc.script.current,
-        money = script.money * skidinc.player.getMoneyMult(),
-        exp = script.exp * skidinc.player.getExpMult(),
-        bar = '|';
+    skidinc.script.resetSlot(slot);
     
-    for (var i = 0; i < this.maxBar; i++)
-        bar += '#';
+    skidinc.events.emit('script:stopped', {
+        script: script,
+        slot: skidinc.script.slots.indexOf(slot)
+    });
     
-    bar += '| <y>100%</y>.';
+    skidinc.script.next();
+};
+
+skidinc.script.finish = function(index) {
+    var slot = skidinc.script.slots[index],
+        script = slot.current,
+        money = skidinc.script.getMoney(script),
+        exp = skidinc.script.getExp(script);
     
     skidinc.player.earn('money', money);
     skidinc.player.earn('exp', exp);
@@ -254,36 +506,64 @@ skidinc.script.finish = function() {
     skidinc.script.completed[script.i]++;
     skidinc.script.totalCompleted = skidinc.script.completed.reduce((a, b) => a + b, 0);
     
-    skidinc.script.available = true;
-    skidinc.script.current = null;
-    skidinc.script.time = 0;
-    skidinc.script.maxTime = 0;
+    slot.finishedRun = slot.run;
+    skidinc.script.resetSlot(slot);
     
     if (skidinc.tutorial.enabled && skidinc.tutorial.step == 2)
         skidinc.tutorial.switchStep(3);
     
-    $('#script-bar').html(bar).attr('id', 'old-script-bar');
+    skidinc.events.emit('script:finished', {
+        script: script,
+        money: money,
+        exp: exp,
+        auto: false,
+        slot: index
+    });
     
-    return skidinc.console.print('<y>SCRIPT FINISHED</y>: <b>' + script.id + '</b> just finished its execution, you earned <b>$' + fix(money, 0) + '</b> and <b>' + fix(exp, 0) + ' exp</b>.');
+    skidinc.script.next();
 };
 
-skidinc.script.bar = function() {
-    if ($('#script-bar').length == 1) {
-        var bar = '|',
-            percent = (this.maxTime - this.time) / this.maxTime * 100,
-            left = Math.floor(this.time / this.maxTime * this.maxBar),
-            filled = Math.ceil(this.maxBar - left);
+skidinc.script.getBar = function(time, maxTime) {
+    var bar = '|',
+        percent = (maxTime - time) / maxTime * 100,
+        left = Math.max(0, Math.floor(time / maxTime * skidinc.script.maxBar)),
+        filled = Math.ceil(skidinc.script.maxBar - left);
     
-        for (var i = 0; i < filled; i++)
-            bar += '#';
+    for (var i = 0; i < filled; i++)
+        bar += '#';
     
-        for (var e = 0; e < left; e++)
-            bar += '=';
+    for (var e = 0; e < left; e++)
+        bar += '=';
     
-        bar += '| <y>' + fix(percent, 0) + '%</y>.';
+    bar += '| <y>' + fix(percent, 0) + '%</y>.';
     
-        $('#script-bar').html(bar);
-    };
+    return bar;
+};
+
+skidinc.script.render = function() {
+    var el = (!skidinc.tutorial.finish && skidinc.tutorial.enabled) ? '#intro-logs' : '#logs';
+    
+    skidinc.script.slots.forEach(function(slot, i) {
+        var bar = $('#script-bar-' + i);
+        
+        // the displayed bar belongs to a run which is over (finished or stopped)
+        if (bar.length == 1 && (slot.current === null || slot.barRun !== slot.run)) {
+            if (slot.finishedRun == slot.barRun)
+                bar.html(skidinc.script.getBar(0, 1));
+            
+            bar.attr('id', 'old-script-bar');
+        };
+        
+        if (slot.current === null)
+            return;
+        
+        if ($('#script-bar-' + i).length == 0) {
+            slot.barRun = slot.run;
+            $(el).append('<span id="script-bar-' + i + '"></span>');
+        };
+        
+        $('#script-bar-' + i).html(skidinc.script.getBar(slot.time, slot.maxTime));
+    });
 };
 
 skidinc.script.buy = function(what) {
@@ -306,28 +586,40 @@ skidinc.script.buy = function(what) {
     if (exists) {
         if (skidinc.script.unlocked[s.i])
             return skidinc.console.print('<x>ERR</x> you already unlocked <b>' + s.id + '</b> script.');
-        if (skidinc.player.money < s.cost)
-            return skidinc.console.print('<x>ERR</x> not enough money to buy <b>' + s.id + '</b> script (cost <b>$' + fix(s.cost) + '</b>).');
+        var cost = skidinc.script.getCost(s);
+        
+        if (skidinc.player.money.lt(cost))
+            return skidinc.console.print('<x>ERR</x> not enough money to buy <b>' + s.id + '</b> script (cost <b>$' + fix(cost) + '</b>).');
         else {
-            skidinc.player.money -= s.cost;
+            skidinc.player.money = skidinc.player.money.sub(cost);
             skidinc.script.unlocked[s.i] = true;
-            return skidinc.console.print('You bought <b>' + s.id + '</b> script.');
+            
+            return skidinc.events.emit('purchase:script', {
+                script: s,
+                cost: cost
+            });
         };
     };
 };
 
 skidinc.script.loop = function(times) {
-    if (!skidinc.script.available && typeof skidinc.script.current == 'object') {
-        skidinc.script.time -= times / skidinc.fps;
+    for (var i = 0; i < skidinc.script.slots.length; i++) {
+        var slot = skidinc.script.slots[i];
+        
+        if (slot.current === null)
+            continue;
         
-        skidinc.script.bar();
+        slot.time -= times / skidinc.fps;
         
-        if (skidinc.script.time <= 0)
-            skidinc.script.finish();
+        if (slot.time <= 0)
+            skidinc.script.finish(i);
     };
 };
 
 skidinc.script.init = function() {
+    if (!skidinc.script.slots.length)
+        skidinc.script.slots.push(skidinc.script.createSlot());
+    
     if (skidinc.script.scripts.length !== skidinc.script.unlocked.length) {
         skidinc.script.unlocked = [];
         
@@ -358,9 +650,58 @@ skidinc.script.prestige = function() {
         skidinc.script.unlocked.push(false);
     });
 
-    skidinc.script.unlocked[0] = true;
-    skidinc.script.available = true;
-    skidinc.script.current = null;
-    skidinc.script.time = 0;
-    skidinc.script.maxTime = 0;
+    // the zombie army botnet upgrade unlocks the first scripts for free.
+    for (var i = 0; i < Math.max(1, skidinc.botnet.getEffect('autostart')) && i < skidinc.script.unlocked.length; i++)
+        skidinc.script.unlocked[i] = true;
+    
+    skidinc.script.queue = [];
+    skidinc.script.slots = [skidinc.script.createSlot()];
 };
+
+// running scripts are saved by id, slot progress bars are rebuilt on load.
+skidinc.script.serialize = function() {
+    return {
+        unlocked: skidinc.script.unlocked,
+        completed: skidinc.script.completed,
+        totalCompleted: skidinc.script.totalCompleted,
+        slots: skidinc.script.slots.map(function(slot) {
+            return {
+                current: slot.current === null ? null : { id: slot.current.id },
+                time: slot.time,
+                maxTime: slot.maxTime
+            };
+        }),
+        queue: skidinc.script.queue
+    };
+};
+
+skidinc.script.deserialize = function(data) {
+    skidinc.script.unlocked = data.unlocked;
+    skidinc.script.completed = data.completed;
+    skidinc.script.totalCompleted = data.totalCompleted;
+    skidinc.script.queue = data.queue;
+    
+    skidinc.script.slots = data.slots.map(function(saved) {
+        var slot = skidinc.script.createSlot();
+        
+        slot.current = saved.current === null ? null : skidinc.script.getScript(saved.current.id);
+        slot.time = saved.time;
+        slot.maxTime = saved.maxTime;
+        
+        if (slot.current === null)
+            skidinc.script.resetSlot(slot);
+        
+        return slot;
+    });
+};
+
+skidinc.console.register({
+    id: 'script',
+    desc: 'execute a script.',
+    args: ['<name>', '[queued]'],
+    flags: ['-c/-cancel', '-n <number>', '-l/-list', '-clear'],
+    handler: skidinc.script.execute,
+    help: skidinc.script.help,
+    list: skidinc.script.list,
+    complete: [skidinc.script.secondArgs]
+});
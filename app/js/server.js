@@ -1,80 +1,176 @@
 skidinc.server = {};
-skidinc.server.servers = ['telnet', 'web'];
-skidinc.server.owned = [0, 0];
-skidinc.server.telnet = {
-    id: 'telnet',
-    index: 0,
-    price: 1e6,
-    inflation: 2,
-    max: 100,
-    effects: {
-        time: 0.05
-    }
-};
-skidinc.server.web = {
-    id: 'web',
-    index: 1,
-    price: 800,
-    inflation: 1.18,
-    max: Infinity,
-    effects: {
-        money: 0.12,
-        exp: 0.05
-    }
+skidinc.server.servers = [];
+skidinc.server.owned = {};
+
+// effects are added to the matching multiplier per level owned.
+skidinc.server.effects = {
+    money: 'money multiplier',
+    exp: 'exp multiplier',
+    time: 'time multiplier',
+    charge: 'battery charge power',
+    autoscript: 'autoscript speed'
 };
 
-skidinc.server.getPrice = function(what) {
-    var server = skidinc.server[what];
-    
-    return Math.floor(server.price * Math.pow(server.inflation, skidinc.server.owned[server.index]));
+skidinc.server.getDefaultServers = function() {
+    return [{
+        id: 'telnet',
+        name: 'Telnet',
+        desc: 'Telnet servers increase your time multiplier.',
+        price: 1e6,
+        inflation: 2,
+        max: 100,
+        effects: {
+            time: 0.05
+        }
+    }, {
+        id: 'web',
+        name: 'Web',
+        desc: 'Web servers increase both your money and exp. multipliers.',
+        price: 800,
+        inflation: 1.18,
+        max: Infinity,
+        effects: {
+            money: 0.12,
+            exp: 0.05
+        }
+    }];
 };
 
-skidinc.server.getMultibuyPrice = function(what, amount) {
-    var server = skidinc.server[what];
+skidinc.server.setServers = function(data) {
+    var servers = data && data.servers ? data.servers : data;
+
+    if (!Array.isArray(servers) || servers.length === 0)
+        servers = skidinc.server.getDefaultServers();
+
+    skidinc.server.servers = servers.map(function(server) {
+        if (!server || !server.id || typeof server.effects !== 'object')
+            return null;
+
+        var effects = {};
+
+        for (var kind in server.effects) {
+            if (typeof skidinc.server.effects[kind] == 'undefined')
+                console.warn('skidinc.server: unknown effect', kind, 'on', server.id);
+            else
+                effects[kind] = server.effects[kind];
+        };
+
+        return {
+            id: server.id,
+            name: server.name || server.id,
+            desc: server.desc || '',
+            price: server.price,
+            inflation: server.inflation,
+            // JSON has no Infinity, a null or missing max means no limit.
+            max: typeof server.max == 'number' ? server.max : Infinity,
+            effects: effects
+        };
+    }).filter(Boolean);
+
+    if (skidinc.server.servers.length === 0)
+        skidinc.server.servers = skidinc.server.getDefaultServers();
+
+    skidinc.server.setOwned(skidinc.server.owned);
+};
+
+skidinc.server.load = function(callback) {
+    $.getJSON('app/data/servers.json')
+        .done(function(data) {
+            skidinc.server.setServers(data);
+
+            if (typeof callback === 'function')
+                callback();
+        })
+        .fail(function() {
+            skidinc.server.setServers(null);
+
+            if (typeof callback === 'function')
+                callback();
+        });
+};
+
+skidinc.server.getServer = function(id) {
+    for (var i = 0; i < skidinc.server.servers.length; i++) {
+        if (skidinc.server.servers[i].id == id)
+            return skidinc.server.servers[i];
+    };
+
+    return null;
+};
+
+skidinc.server.getOwned = function(id) {
+    return skidinc.server.owned[id] || 0;
+};
+
+// levels are keyed by server id, ids missing from servers.json are kept so
+// removing then adding back a server type doesn't lose them.
+skidinc.server.setOwned = function(owned) {
+    var obj = {};
+
+    for (var id in owned) {
+        if (typeof owned[id] == 'number' && owned[id] > 0)
+            obj[id] = owned[id];
+    };
+
+    skidinc.server.servers.forEach(function(server) {
+        obj[server.id] = obj[server.id] || 0;
+    });
+
+    skidinc.server.owned = obj;
+};
+
+skidinc.server.getUpgrade = function(what) {
+    var server = skidinc.server.getServer(what);
     
-    return Math.floor(server.price * Math.pow(server.inflation, amount));
+    return {
+        price: server.price,
+        inflation: server.inflation,
+        level: skidinc.server.getOwned(what),
+        max: server.max
+    };
+};
+
+skidinc.server.getPrice = function(what) {
+    return skidinc.buy.getCost(skidinc.server.getUpgrade(what), 1);
 };
 
 skidinc.server.getEffects = function(what) {
-    var server = skidinc.server[what],
-        size = Object.keys(server.effects).length,
+    var server = skidinc.server.getServer(what),
         obj = {};
     
-    for (var effect in server.effects) {
-        var i = effect,
-            effect = server.effects[effect];
-        
-        obj[i] = 1 + effect * skidinc.server.owned[server.index];
-    };
+    for (var effect in server.effects)
+        obj[effect] = 1 + server.effects[effect] * skidinc.server.getOwned(server.id);
     
     return obj;
 };
 
+// total bonus of an effect kind, summed across every server type.
+skidinc.server.getEffect = function(kind) {
+    var total = 1;
+    
+    skidinc.server.servers.forEach(function(server) {
+        if (typeof server.effects[kind] == 'number')
+            total += server.effects[kind] * skidinc.server.getOwned(server.id);
+    });
+    
+    return total;
+};
+
 skidinc.server.getEffectsToStr = function(what) {
-    var server = skidinc.server[what],
-        size = Object.keys(server.effects).length,
-        e = 0,
-        str = '';
-    
-    for (var effect in server.effects) {
-        var i = effect,
-            effect = server.effects[effect];
-        
-        str += '<b>+' + fix(effect) + '</b> to ' + i + ' multiplier';
-        
-        e++;
-        
-        (e == size) ? str += '' : str += ', ';
-    };
+    var server = skidinc.server.getServer(what),
+        str = [];
     
-    return str;
+    for (var effect in server.effects)
+        str.push('<b>+' + fix(server.effects[effect]) + '</b> to ' + skidinc.server.effects[effect]);
+    
+    return str.join(', ');
 };
 
 skidinc.server.list = function() {
     var str = '';
     
     for (var i = 0; i < skidinc.server.servers.length; i++) {
-        var server = skidinc.server[skidinc.server.servers[i]],
+        var server = skidinc.server.servers[i],
             cost = skidinc.server.getPrice(server.id),
             effects = skidinc.server.getEffectsToStr(server.id);
         
@@ -85,80 +181,70 @@ skidinc.server.list = function() {
 };
 
 skidinc.server.buy = function(item, amount) {
-    if (skidinc.server.servers.indexOf(item) == -1)
+    if (skidinc.server.getServer(item) === null)
         return skidinc.console.print('<x>ERR</x> server type <b>' + item + '</b> doesn\`t exist.');
     
-    if (typeof amount == 'number' && amount == 1) {
-        var cost = skidinc.server.getPrice(item),
-            server = skidinc.server[item];
-        
-        if (skidinc.player.money >= cost && skidinc.server.owned[server.index] + 1 <= server.max) {
-            skidinc.player.money -= cost;
-            skidinc.server.owned[server.index]++;
-            return skidinc.console.print('<z>SERVER</z> you successfully upgraded your <b>' + server.id + '</b> server.');
-        };
-        
-        if (skidinc.server.owned[server.index] + 1 > server.max)
-            return skidinc.console.print('<x>ERR</x> this server have a max level which is <b>' + server.max + '</b>.');
-        else if (skidinc.player.money < cost)
-            return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>' + server.id + '</b> server (cost <b>$' + fix(cost, 0) + '</b>).');
-    };
+    var server = skidinc.server.getServer(item),
+        quote = skidinc.buy.quote(skidinc.server.getUpgrade(item), amount);
     
-    if (typeof amount == 'number' && amount > 1) {
-        var server = skidinc.server[item],
-            owned = skidinc.server.owned[server.index],
-            tempOwned = owned,
-            i = 0,
-            totalCost = 0;
-        
-        while (i < amount) {
-            tempOwned++;
-            totalCost += skidinc.server.getMultibuyPrice(item, tempOwned);
-            i++;
-        };
-        
-        if (skidinc.player.money >= totalCost && tempOwned <= server.max) {
-            skidinc.player.money -= totalCost;
-            skidinc.server.owned[server.index] += amount;
-            return skidinc.console.print('<z>SERVER</z> you successfully upgraded your <b>' + server.id + '</b> server by <b>' + amount + ' levels</b>.');
-        };
-        
-        if (skidinc.server.owned[server.index] + amount > server.max)
-            return skidinc.console.print('<x>ERR</x> this server have a max level (<b>' + server.max + '</b>) that will be exceeded if you upgrade it <b>' + amount + ' times</b>.');
-        if (skidinc.player.money < totalCost)
-            return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>' + server.id + '</b> server <b>' + amount + ' times</b> (total cost of <b>$' + fix(totalCost, 0) + '</b>).');
-    };
+    if (quote.error == 'max')
+        return skidinc.console.print('<x>ERR</x> this server have a max level which is <b>' + server.max + '</b>.');
+    if (quote.error == 'exceed')
+        return skidinc.console.print('<x>ERR</x> this server have a max level (<b>' + server.max + '</b>) that will be exceeded if you upgrade it <b>' + quote.amount + ' times</b>.');
+    if (quote.error == 'money' && quote.amount <= 1)
+        return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>' + server.id + '</b> server (cost <b>$' + fix(quote.cost, 0) + '</b>).');
+    if (quote.error == 'money')
+        return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>' + server.id + '</b> server <b>' + quote.amount + ' times</b> (total cost of <b>$' + fix(quote.cost, 0) + '</b>).');
     
-    if (typeof amount == 'string' && amount == 'max') {
-        var server = skidinc.server[item],
-            owned = skidinc.server.owned[server.index],
-            tempOwned = owned,
-            toBuy = 0,
-            totalCost = 0;
-        
-        while (skidinc.player.money >= totalCost + skidinc.server.getMultibuyPrice(item, tempOwned + 1)) {
-            tempOwned++;
-            toBuy++;
-            totalCost += skidinc.server.getMultibuyPrice(item, tempOwned);
-        };
-        
-        if (skidinc.player.money >= totalCost && tempOwned <= server.max) {
-            skidinc.player.money -= totalCost;
-            skidinc.server.owned[server.index] += toBuy;
-            return skidinc.console.print('<z>SERVER</z> you successfully upgraded your <b>' + server.id + '</b> server by <b>' + toBuy + ' levels</b>, it cost you <b>$' + fix(totalCost, 0) + '</b>.');
-        };
-        
-        if (skidinc.server.owned[server.index] + toBuy > server.max)
-            return skidinc.console.print('<x>ERR</x> this server have a max level (<b>' + server.max + '</b>) that will be exceeded if you upgrade it <b>' + toBuy + ' times</b>.');
-        if (skidinc.player.money < totalCost)
-            return skidinc.console.print('<x>ERR</x> not enough money to upgrade your <b>' + server.id + '</b> server <b>' + toBuy + ' times</b> (total cost of <b>$' + fix(totalCost, 0) + '</b>).');
-    };
+    skidinc.player.money = skidinc.player.money.sub(quote.cost);
+    skidinc.server.owned[server.id] += quote.amount;
+    
+    return skidinc.events.emit('purchase:server', {
+        server: server,
+        amount: quote.amount,
+        cost: quote.cost
+    });
 };
 
+// the persistence botnet upgrade keeps a part of every server levels.
 skidinc.server.prestige = function() {
-    skidinc.server.owned = [];
+    var keep = skidinc.botnet.getEffect('persistence'),
+        owned = {};
+    
+    for (var id in skidinc.server.owned)
+        owned[id] = Math.floor(skidinc.server.owned[id] * keep);
+    
+    skidinc.server.setOwned(owned);
+};
+
+skidinc.server.domInit = function() {
+    var names = '',
+        content = '';
     
-    skidinc.server.servers.forEach(function(i) {
-        skidinc.server.owned.push(0);
+    skidinc.server.servers.forEach(function(server) {
+        names += '<p><span data-toggle="tooltip" data-placement="top" title="' + server.desc + '">' + server.name + ' level <i class="fa fa-info-circle" aria-hidden="true"></i></span></p>' +
+            '<p>' + server.name + ' price</p>';
+        content += '<p id="' + server.id + '-level"></p>' +
+            '<p id="' + server.id + '-price"></p>';
     });
-};
\ No newline at end of file
+    
+    $('#stats-overview #servers .names').html(names);
+    $('#stats-overview #servers .content').html(content);
+};
+
+skidinc.server.render = function() {
+    skidinc.server.servers.forEach(function(server) {
+        $('#stats-overview #servers #' + server.id + '-level').html('Lvl. ' + fix(skidinc.server.getOwned(server.id), 0));
+        $('#stats-overview #servers #' + server.id + '-price').html('$' + fix(skidinc.server.getPrice(server.id), 0));
+    });
+};
+
+skidinc.server.serialize = function() {
+    return {
+        owned: skidinc.server.owned
+    };
+};
+
+skidinc.server.deserialize = function(data) {
+    skidinc.server.setOwned(data.owned);
+};
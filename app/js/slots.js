@@ -0,0 +1,282 @@
+skidinc.slots = {};
+skidinc.slots.dbName = 'skidinc';
+skidinc.slots.storeName = 'slots';
+skidinc.slots.activeName = 'SKINC-slot';
+skidinc.slots.maxName = 20;
+skidinc.slots.namePattern = /^[a-z0-9 _.-]+$/i;
+skidinc.slots.db = null;
+skidinc.slots.active = null;
+
+// named saves kept in IndexedDB as { id, name, created, played, version,
+// stats: { money, level, botnet }, data }, data is the encoded save. the
+// localStorage save stays the working copy of the active slot, it is read
+// synchronously on load and written on unload, every save also updates the
+// slot record.
+skidinc.slots.slots = [];
+
+skidinc.slots.isAvailable = function() {
+    return skidinc.slots.db !== null;
+};
+
+skidinc.slots.getSlot = function(key) {
+    for (var i = 0; i < skidinc.slots.slots.length; i++) {
+        var slot = skidinc.slots.slots[i];
+
+        if (slot.id == key || slot.name.toLowerCase() == String(key).toLowerCase())
+            return slot;
+    };
+
+    return null;
+};
+
+// names are printed in the console, records written before names were checked
+// may hold markup.
+skidinc.slots.getName = function(slot) {
+    return String(slot.name).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+skidinc.slots.getActive = function() {
+    return skidinc.slots.getSlot(skidinc.slots.active);
+};
+
+skidinc.slots.getNextId = function() {
+    return skidinc.slots.slots.reduce(function(id, slot) {
+        return Math.max(id, slot.id);
+    }, 0) + 1;
+};
+
+skidinc.slots.getStats = function() {
+    return {
+        money: skidinc.player.money.toJSON(),
+        level: skidinc.player.level,
+        botnet: skidinc.player.botnet.toJSON()
+    };
+};
+
+skidinc.slots.createSlot = function(name, data) {
+    var now = new Date().getTime();
+
+    return {
+        id: skidinc.slots.getNextId(),
+        name: name,
+        created: now,
+        played: now,
+        version: skidinc.version,
+        stats: skidinc.slots.getStats(),
+        data: data
+    };
+};
+
+// runs a request on the slots store, callback gets its result or null on failure.
+skidinc.slots.request = function(mode, build, callback) {
+    var done = typeof callback == 'function' ? callback : function() {};
+
+    try {
+        var request = build(skidinc.slots.db.transaction(skidinc.slots.storeName, mode).objectStore(skidinc.slots.storeName));
+
+        request.onsuccess = function() {
+            done(request.result);
+        };
+        request.onerror = function() {
+            console.error('skidinc.slots: request failed', request.error);
+            done(null);
+        };
+    }
+    catch (e) {
+        console.error('skidinc.slots: request failed', e);
+        done(null);
+    };
+};
+
+skidinc.slots.put = function(slot, callback) {
+    skidinc.slots.request('readwrite', function(store) {
+        return store.put(slot);
+    }, callback);
+};
+
+skidinc.slots.remove = function(id, callback) {
+    skidinc.slots.request('readwrite', function(store) {
+        return store.delete(id);
+    }, callback);
+};
+
+skidinc.slots.open = function(callback) {
+    if (typeof indexedDB == 'undefined')
+        return callback(null);
+
+    try {
+        var request = indexedDB.open(skidinc.slots.dbName, 1);
+
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(skidinc.slots.storeName, {
+                keyPath: 'id'
+            });
+        };
+        request.onsuccess = function() {
+            callback(request.result);
+        };
+        request.onerror = function() {
+            console.error('skidinc.slots: IndexedDB unavailable', request.error);
+            callback(null);
+        };
+    }
+    catch (e) {
+        console.error('skidinc.slots: IndexedDB unavailable', e);
+        callback(null);
+    };
+};
+
+// updates the active slot with an encoded save, called on every written save.
+skidinc.slots.write = function(data, callback) {
+    var slot = skidinc.slots.getActive();
+
+    if (slot === null) {
+        if (typeof callback == 'function')
+            callback();
+
+        return;
+    };
+
+    slot.played = new Date().getTime();
+    slot.version = skidinc.version;
+    slot.stats = skidinc.slots.getStats();
+    slot.data = data;
+
+    skidinc.slots.put(slot, callback);
+};
+
+skidinc.slots.setActive = function(id) {
+    skidinc.slots.active = id;
+    localStorage.setItem(skidinc.slots.activeName, id);
+};
+
+// the current save becomes the active slot when none matches, the first one
+// moves the single localStorage save into slot 1.
+skidinc.slots.adopt = function() {
+    var slot = skidinc.slots.createSlot(skidinc.slots.slots.length ? 'slot ' + skidinc.slots.getNextId() : 'main', localStorage.getItem(skidinc.save.name));
+
+    skidinc.slots.slots.push(slot);
+    skidinc.slots.setActive(slot.id);
+    skidinc.slots.put(slot);
+};
+
+// writes the current game to its slot, then replaces the working copy with
+// another slot save (null for a new game) and reloads.
+skidinc.slots.load = function(slot) {
+    window.onbeforeunload = function() {};
+    clearInterval(skidinc.loops.save);
+
+    skidinc.save.getDirty();
+    skidinc.slots.write(skidinc.save.b64uEncode(skidinc.save.stringify()), function() {
+        if (slot.data === null)
+            localStorage.removeItem(skidinc.save.name);
+        else
+            localStorage.setItem(skidinc.save.name, slot.data);
+
+        skidinc.slots.setActive(slot.id);
+        location.reload();
+    });
+};
+
+skidinc.slots.list = function() {
+    var str = '<y>SAVE SLOTS</y> switch with <b>save slot switch [id|name]</b>:<br>';
+
+    skidinc.slots.slots.forEach(function(slot) {
+        str += '<b>-</b> <z>' + slot.id + '</z> <b>' + skidinc.slots.getName(slot) + '</b>' + (slot.id == skidinc.slots.active ? ' (active)' : '') +
+            ': $' + fix(slot.stats.money, 0) + ', level ' + slot.stats.level + ', ' + fix(slot.stats.botnet, 0) + ' botnets, last played ' + skidinc.prestige.formatDate(slot.played) + '.<br>';
+    });
+
+    return skidinc.console.print(str);
+};
+
+skidinc.slots.create = function(name) {
+    name = name || 'slot ' + skidinc.slots.getNextId();
+
+    if (name.length > skidinc.slots.maxName)
+        return skidinc.console.print('<x>ERR</x> slot names can\'t be longer than <b>' + skidinc.slots.maxName + '</b> characters.');
+    if (!skidinc.slots.namePattern.test(name))
+        return skidinc.console.print('<x>ERR</x> slot names can only contain letters, digits, spaces, <b>_</b>, <b>.</b> and <b>-</b>.');
+    if (!isNaN(name))
+        return skidinc.console.print('<x>ERR</x> slot names can\'t be a number, it would be mistaken for a slot id.');
+    if (skidinc.slots.getSlot(name) !== null)
+        return skidinc.console.print('<x>ERR</x> a slot named <b>' + name + '</b> already exists.');
+
+    var slot = skidinc.slots.createSlot(name, null);
+
+    slot.stats = {
+        money: 0,
+        level: 1,
+        botnet: 0
+    };
+
+    skidinc.slots.slots.push(slot);
+    skidinc.slots.put(slot, function() {
+        skidinc.slots.load(slot);
+    });
+};
+
+skidinc.slots.switchTo = function(key) {
+    var slot = skidinc.slots.getSlot(key);
+
+    if (slot === null)
+        return skidinc.console.print('<x>ERR</x> <b>' + key + '</b> is not a save slot.');
+    if (slot.id == skidinc.slots.active)
+        return skidinc.console.print('<x>ERR</x> <b>' + skidinc.slots.getName(slot) + '</b> is already the active slot.');
+
+    skidinc.slots.load(slot);
+};
+
+skidinc.slots.erase = function(key) {
+    var slot = skidinc.slots.getSlot(key);
+
+    if (slot === null)
+        return skidinc.console.print('<x>ERR</x> <b>' + key + '</b> is not a save slot.');
+    if (slot.id == skidinc.slots.active)
+        return skidinc.console.print('<x>ERR</x> you can\'t delete the active slot, switch to another one first.');
+    if (!confirm('Delete the "' + slot.name + '" save slot? This can\'t be undone!'))
+        return skidinc.console.print('<w>WARN</w> slot deletion cancelled.');
+
+    skidinc.slots.slots.splice(skidinc.slots.slots.indexOf(slot), 1);
+    skidinc.slots.remove(slot.id, function() {
+        skidinc.console.print('<z>SAVE</z> slot <b>' + skidinc.slots.getName(slot) + '</b> deleted.');
+    });
+};
+
+skidinc.slots.execute = function(words) {
+    var action = words[0] || 'list',
+        key = words.slice(1).join(' ');
+
+    if (!skidinc.slots.isAvailable())
+        return skidinc.console.print('<x>ERR</x> save slots need IndexedDB, which is not available in this browser.');
+
+    if (action == 'list')
+        return skidinc.slots.list();
+    if (action == 'new')
+        return skidinc.slots.create(key);
+    if ((action == 'switch' || action == 'delete') && key == '')
+        return skidinc.console.print('<x>ERR</x> add the slot id or name after <b>save slot ' + action + '</b>.');
+    if (action == 'switch')
+        return skidinc.slots.switchTo(key);
+    if (action == 'delete')
+        return skidinc.slots.erase(key);
+
+    return skidinc.console.print('<x>ERR</x> <b>' + action + '</b> is not a slot action, see <b>save -h</b>.');
+};
+
+skidinc.slots.init = function() {
+    skidinc.slots.open(function(db) {
+        if (db === null)
+            return;
+
+        skidinc.slots.db = db;
+        skidinc.slots.request('readonly', function(store) {
+            return store.getAll();
+        }, function(slots) {
+            skidinc.slots.slots = slots || [];
+            skidinc.slots.active = Number(localStorage.getItem(skidinc.slots.activeName)) || null;
+
+            if (skidinc.slots.getActive() === null)
+                skidinc.slots.adopt();
+        });
+    });
+};
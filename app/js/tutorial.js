@@ -83,4 +83,14 @@ skidinc.tutorial.core = function() {
             }, 2000);
             break;
     };
-};
\ No newline at end of file
+};
+
+skidinc.tutorial.serialize = function() {
+    return {
+        finish: skidinc.tutorial.finish
+    };
+};
+
+skidinc.tutorial.deserialize = function(data) {
+    skidinc.tutorial.finish = data.finish;
+};
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+const EFFECTS = ['money', 'exp', 'time', 'charge', 'autoscript'];
+
+const argv = process.argv.slice(2);
+const getArg = (name) => {
+  const index = argv.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= argv.length) {
+    return null;
+  }
+  return argv[index + 1];
+};
+
+const parseNumber = (value, label, defaultValue) => {
+  if (value === null || value === undefined) return defaultValue;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return parsed;
+};
+
+const id = argv[0] && !argv[0].startsWith('--') ? argv[0] : getArg('id');
+const file = getArg('file') || path.join(__dirname, '..', 'app', 'data', 'servers.json');
+const filePath = path.resolve(file);
+
+if (!id) {
+  console.error(`Usage: node scripts/add-server.js <id> [--name <text>] [--desc <text>] [--price <num>] [--inflation <num>] [--max <num>] [--${EFFECTS.join(' <num>] [--')} <num>] [--file <path>]`);
+  process.exit(1);
+}
+
+// the id is used in DOM ids and as the buy server argument
+if (!/^[a-z0-9-]+$/.test(id)) {
+  console.error(`Invalid server id: ${id} (lowercase letters, digits and dashes only)`);
+  process.exit(1);
+}
+
+let servers = [];
+try {
+  const existing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  servers = Array.isArray(existing.servers) ? existing.servers : [];
+} catch (e) {
+  console.log(`Creating new file: ${filePath}`);
+}
+
+if (servers.some((server) => server.id === id)) {
+  console.error(`Server already exists: ${id}`);
+  process.exit(1);
+}
+
+const effects = {};
+for (const effect of EFFECTS) {
+  const value = parseNumber(getArg(effect), effect, null);
+  if (value !== null) {
+    effects[effect] = value;
+  }
+}
+
+if (Object.keys(effects).length === 0) {
+  console.error(`A server needs at least one effect: --${EFFECTS.join(', --')}`);
+  process.exit(1);
+}
+
+const last = servers.length > 0 ? servers[servers.length - 1] : { price: 800, inflation: 1.18 };
+
+const payload = {
+  id,
+  name: getArg('name') || id,
+  desc: getArg('desc') || '',
+  price: parseNumber(getArg('price'), 'price', last.price * 10),
+  inflation: parseNumber(getArg('inflation'), 'inflation', last.inflation),
+  // JSON has no Infinity, null means no max level
+  max: parseNumber(getArg('max'), 'max', null),
+  effects
+};
+
+servers.push(payload);
+const updated = {
+  servers
+};
+
+fs.writeFileSync(filePath, `${JSON.stringify(updated, null, 2)}\n`, 'utf8');
+console.log(`Added server ${id} to ${filePath}`);
+console.log('Parameters:', payload);
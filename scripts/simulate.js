@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+const HeadlessGame = require('../src/headless-game');
+
+const argv = process.argv.slice(2);
+const getArg = (name) => {
+  const index = argv.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= argv.length) {
+    return null;
+  }
+  return argv[index + 1];
+};
+
+const parseNumber = (value, label, defaultValue) => {
+  if (value === null || value === undefined) return defaultValue;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return parsed;
+};
+
+if (argv.includes('--help')) {
+  console.log('Usage: node scripts/simulate.js [--seconds <num>] [--autoscripts <count>] [--<server id> <level>] [--battery <level>] [--multiplier <level>] [--botnet <num>]');
+  process.exit(0);
+}
+
+const game = new HeadlessGame();
+const { skidinc } = game;
+
+const seconds = parseNumber(getArg('seconds'), 'seconds', 3600);
+const autoscripts = parseNumber(getArg('autoscripts'), 'autoscripts', 1);
+
+for (const server of skidinc.server.servers) {
+  skidinc.server.owned[server.id] = parseNumber(getArg(server.id), server.id, 0);
+}
+skidinc.battery.level = parseNumber(getArg('battery'), 'battery', 1);
+skidinc.player.multiplierLevel = parseNumber(getArg('multiplier'), 'multiplier', 0);
+skidinc.player.botnet = game.context.BigNum.from(parseNumber(getArg('botnet'), 'botnet', 0));
+
+for (let i = 0; i < Math.min(autoscripts, skidinc.script.scripts.length); i++) {
+  skidinc.script.unlocked[i] = true;
+  skidinc.autoscript.unlocked[i] = true;
+}
+
+const started = Date.now();
+const ticks = game.run(seconds);
+
+console.log(`Simulated ${seconds}s (${ticks} ticks) in ${Date.now() - started}ms`);
+console.log('Result:', {
+  money: skidinc.player.totalMoney.toString(),
+  exp: skidinc.player.totalExp.toString(),
+  level: skidinc.player.level,
+  scriptsCompleted: skidinc.script.totalCompleted,
+  botnetOnReset: skidinc.prestige.botnetOnReset.toString()
+});
@@ -2,6 +2,7 @@ const FileSystemManager = require('./filesystem-manager');
 const SaveErrorHandler = require('./save-error-handler');
 const DataValidator = require('./data-validator');
 const PerformanceManager = require('./performance-manager');
+const SkidSave = require('../app/js/helpers/skidsave');
 const { EventEmitter } = require('events');
 
 /**
@@ -751,7 +752,7 @@ class AutoSaveManager extends EventEmitter {
    */
   generateSaveFilename(saveType) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    return `${saveType}_${timestamp}.json`;
+    return `${saveType}_${timestamp}${SkidSave.extension}`;
   }
 
   /**
@@ -760,7 +761,7 @@ class AutoSaveManager extends EventEmitter {
    */
   generateBackupFilename() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    return `backup_${timestamp}.json`;
+    return `backup_${timestamp}${SkidSave.extension}`;
   }
 
   /**
@@ -987,7 +988,7 @@ class AutoSaveManager extends EventEmitter {
       throw new Error('Game state is required for manual backup');
     }
     
-    const filename = backupName ? `backup_manual_${backupName}_${Date.now()}.json` : this.generateBackupFilename();
+    const filename = backupName ? `backup_manual_${backupName}_${Date.now()}${SkidSave.extension}` : this.generateBackupFilename();
     
     const backupData = {
       ...gameState,
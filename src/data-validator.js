@@ -17,13 +17,13 @@ class DataValidator extends EventEmitter {
         required: true,
         properties: {
           username: { type: 'string', required: false, default: 'Player' },
-          money: { type: 'number', required: true, default: 0, min: 0 },
-          totalMoney: { type: 'number', required: true, default: 0, min: 0 },
-          exp: { type: 'number', required: true, default: 0, min: 0 },
-          totalExp: { type: 'number', required: true, default: 0, min: 0 },
-          expReq: { type: 'number', required: true, default: 100, min: 1 },
+          money: { type: 'bignum', required: true, default: 0, min: 0 },
+          totalMoney: { type: 'bignum', required: true, default: 0, min: 0 },
+          exp: { type: 'bignum', required: true, default: 0, min: 0 },
+          totalExp: { type: 'bignum', required: true, default: 0, min: 0 },
+          expReq: { type: 'bignum', required: true, default: 100, min: 1 },
           level: { type: 'number', required: true, default: 1, min: 1 },
-          botnet: { type: 'number', required: false, default: 0, min: 0 },
+          botnet: { type: 'bignum', required: false, default: 0, min: 0 },
           prestigeCount: { type: 'number', required: false, default: 0, min: 0 }
         }
       },
@@ -34,17 +34,53 @@ class DataValidator extends EventEmitter {
           unlocked: { type: 'array', required: true, default: [] },
           completed: { type: 'array', required: true, default: [] },
           totalCompleted: { type: 'number', required: true, default: 0, min: 0 },
-          available: { type: 'array', required: true, default: [] },
-          current: { type: 'object', required: false, default: null },
-          time: { type: 'number', required: false, default: 0, min: 0 },
-          maxTime: { type: 'number', required: false, default: 0, min: 0 }
+          slots: {
+            type: 'array',
+            required: false,
+            default: () => [{ current: null, time: 0, maxTime: 0 }],
+            maxLength: 4,
+            items: {
+              type: 'object',
+              required: true,
+              properties: {
+                current: { type: 'object', required: false, default: null },
+                time: { type: 'number', required: false, default: 0, min: 0 },
+                maxTime: { type: 'number', required: false, default: 0, min: 0 }
+              }
+            }
+          },
+          queue: { type: 'array', required: false, default: [] }
         }
       },
       server: {
         type: 'object',
         required: true,
         properties: {
-          owned: { type: 'array', required: true, default: [] }
+          owned: { type: 'object', required: true, default: () => ({}) }
+        }
+      },
+      botnet: {
+        type: 'object',
+        required: false,
+        properties: {
+          owned: { type: 'object', required: false, default: () => ({}) },
+          spent: { type: 'bignum', required: false, default: 0, min: 0 }
+        }
+      },
+      prestige: {
+        type: 'object',
+        required: false,
+        properties: {
+          history: { type: 'array', required: false, default: [], maxLength: 100 },
+          run: { type: 'object', required: false, default: null }
+        }
+      },
+      challenge: {
+        type: 'object',
+        required: false,
+        properties: {
+          active: { type: 'string', required: false, default: null },
+          completed: { type: 'object', required: false, default: () => ({}) }
         }
       },
       battery: {
@@ -59,7 +95,8 @@ class DataValidator extends EventEmitter {
         type: 'object',
         required: false,
         properties: {
-          owned: { type: 'array', required: true, default: [] }
+          owned: { type: 'array', required: true, default: [] },
+          dates: { type: 'array', required: false, default: [] }
         }
       },
       autoscript: {
@@ -73,7 +110,8 @@ class DataValidator extends EventEmitter {
         type: 'object',
         required: false,
         properties: {
-          typed: { type: 'boolean', required: false, default: true }
+          typed: { type: 'boolean', required: false, default: true },
+          roi: { type: 'boolean', required: false, default: false }
         }
       },
       tutorial: {
@@ -87,7 +125,10 @@ class DataValidator extends EventEmitter {
         type: 'object',
         required: false,
         properties: {
-          grammarly: { type: 'boolean', required: false, default: false }
+          grammarly: { type: 'boolean', required: false, default: false },
+          aliases: { type: 'object', required: false, default: {} },
+          macros: { type: 'object', required: false, default: {} },
+          counters: { type: 'object', required: false, default: () => ({ unknown: 0, clear: 0 }) }
         }
       }
     };
@@ -229,6 +270,8 @@ class DataValidator extends EventEmitter {
           type: 'missing_required'
         });
         return null;
+      } else if (schema.default !== undefined) {
+        return typeof schema.default === 'function' ? schema.default() : schema.default;
       } else {
         // Create default object
         repairedData = {};
@@ -357,6 +400,17 @@ class DataValidator extends EventEmitter {
       }
     }
     
+    // Validate each item against the item schema
+    if (schema.items) {
+      const repairedItems = [];
+      
+      for (let i = 0; i < data.length; i++) {
+        repairedItems.push(await this.validateAndRepair(data[i], schema.items, `${path}[${i}]`, result));
+      }
+      
+      return repairedItems;
+    }
+    
     return data;
   }
 
@@ -393,6 +447,10 @@ class DataValidator extends EventEmitter {
     const expectedType = schema.type;
     const actualType = typeof data;
     
+    if (expectedType === 'bignum') {
+      return this.validateBigNumber(data, schema, path, result);
+    }
+    
     if (actualType !== expectedType) {
       // Attempt type conversion
       const converted = this.convertType(data, expectedType, path, result);
@@ -496,6 +554,73 @@ class DataValidator extends EventEmitter {
     return repairedValue;
   }
 
+  /**
+   * Validates a game BigNum value, stored as a number or as a 'mantissa'e'exponent' string past 1e300
+   * @param {number|string} value - Value to validate
+   * @param {Object} schema - BigNum schema with constraints
+   * @param {string} path - Current path
+   * @param {Object} result - Validation result
+   * @returns {number|string} Repaired value
+   */
+  validateBigNumber(value, schema, path, result) {
+    if (typeof value === 'number') {
+      return this.validateNumberConstraints(value, schema, path, result);
+    }
+    
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) {
+      if (schema.min !== undefined && this.compareBigNumbers(value, schema.min) < 0) {
+        result.warnings.push({
+          field: path,
+          message: `Value ${value} is below minimum ${schema.min}`,
+          severity: 'warning',
+          type: 'constraint_violation'
+        });
+        
+        result.repairedFields.push(`${path} (clamped to minimum)`);
+        return schema.min;
+      }
+      
+      return value;
+    }
+    
+    result.errors.push({
+      field: path,
+      message: `Type mismatch: expected number or numeric string, got ${typeof value}`,
+      severity: 'warning',
+      type: 'type_mismatch'
+    });
+    
+    const defaultValue = typeof schema.default === 'function' ? schema.default() : (schema.default || 0);
+    result.repairedFields.push(`${path} (fallback to default)`);
+    return defaultValue;
+  }
+
+  /**
+   * Compares two BigNum save values without losing precision past Number.MAX_VALUE
+   * @param {number|string} a - First value
+   * @param {number|string} b - Second value
+   * @returns {number} -1, 0 or 1
+   */
+  compareBigNumbers(a, b) {
+    const toParts = (value) => {
+      const [mantissa, exponent] = String(value).toLowerCase().split('e');
+      const m = parseFloat(mantissa) || 0;
+      return { m, log: m === 0 ? -Infinity : Math.log10(Math.abs(m)) + (parseInt(exponent, 10) || 0) };
+    };
+    
+    const x = toParts(a);
+    const y = toParts(b);
+    
+    if (Math.sign(x.m) !== Math.sign(y.m)) {
+      return Math.sign(x.m) > Math.sign(y.m) ? 1 : -1;
+    }
+    if (x.log === y.log) {
+      return 0;
+    }
+    
+    return (x.log > y.log ? 1 : -1) * (x.m < 0 ? -1 : 1);
+  }
+
   /**
    * Validates string constraints and repairs if possible
    * @param {string} value - String value to validate
@@ -637,7 +762,7 @@ class DataValidator extends EventEmitter {
         const player = gameState.player;
         
         // Check if totalMoney >= money
-        if (player.totalMoney < player.money) {
+        if (this.compareBigNumbers(player.totalMoney, player.money) < 0) {
           issues.push({
             type: 'logic_error',
             severity: 'warning',
@@ -648,7 +773,7 @@ class DataValidator extends EventEmitter {
         }
         
         // Check if totalExp >= exp
-        if (player.totalExp < player.exp) {
+        if (this.compareBigNumbers(player.totalExp, player.exp) < 0) {
           issues.push({
             type: 'logic_error',
             severity: 'warning',
@@ -884,6 +1009,7 @@ class DataValidator extends EventEmitter {
       switch (fieldType) {
         case 'string': defaultValue = ''; break;
         case 'number': defaultValue = 0; break;
+        case 'bignum': defaultValue = 0; break;
         case 'boolean': defaultValue = false; break;
         case 'array': defaultValue = []; break;
         case 'object': defaultValue = {}; break;
@@ -970,14 +1096,14 @@ class DataValidator extends EventEmitter {
     try {
       switch (issue.field) {
         case 'player.totalMoney':
-          if (data.player && data.player.money > data.player.totalMoney) {
+          if (data.player && this.compareBigNumbers(data.player.money, data.player.totalMoney) > 0) {
             data.player.totalMoney = data.player.money;
             return { success: true, description: 'Set totalMoney to current money' };
           }
           break;
           
         case 'player.totalExp':
-          if (data.player && data.player.exp > data.player.totalExp) {
+          if (data.player && this.compareBigNumbers(data.player.exp, data.player.totalExp) > 0) {
             data.player.totalExp = data.player.exp;
             return { success: true, description: 'Set totalExp to current exp' };
           }
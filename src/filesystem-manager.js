@@ -1,8 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const { app } = require('electron');
 const SaveMetadataManager = require('./save-metadata-manager');
+const SkidSave = require('../app/js/helpers/skidsave');
+
+const gunzip = promisify(zlib.gunzip);
 
 /**
  * FileSystemManager - Handles all file system operations for game saves
@@ -110,6 +115,7 @@ class FileSystemManager {
 
   /**
    * Writes game data to a file with validation, compression, and error handling
+   * Files use the .skidsave container (docs/SAVE_FORMAT.md), compressed payloads are base64
    * @param {string} filename - Name of the file to write
    * @param {Object} data - Game data to save
    * @returns {Promise<Object>} Save result with success status and metadata
@@ -145,7 +151,10 @@ class FileSystemManager {
         }
       }
       
-      const dataBuffer = Buffer.isBuffer(finalData) ? finalData : Buffer.from(finalData, 'utf8');
+      const container = isCompressed
+        ? SkidSave.build(finalData.toString('base64'), data.version, 'gzip')
+        : SkidSave.build(finalData, data.version, 'none');
+      const dataBuffer = Buffer.from(container, 'utf8');
       
       // Validate disk space before writing
       await this.validateDiskSpace(dataBuffer.length);
@@ -189,6 +198,7 @@ class FileSystemManager {
 
   /**
    * Reads game data from a file with validation and decompression support
+   * Reads .skidsave containers and older plain or gzipped JSON files
    * @param {string} filename - Name of the file to read
    * @returns {Promise<Object>} Parsed game data
    */
@@ -214,8 +224,27 @@ class FileSystemManager {
       let isCompressed = false;
       let decompressionResult = null;
       
-      // Try to detect if file is compressed (gzip magic number: 1f 8b)
-      if (fileBuffer.length >= 2 && fileBuffer[0] === 0x1f && fileBuffer[1] === 0x8b) {
+      // .skidsave container, its payload may be gzipped and base64 encoded
+      if (SkidSave.is(fileBuffer.toString('utf8', 0, SkidSave.magic.length + 1))) {
+        const container = SkidSave.parse(fileBuffer.toString('utf8'));
+
+        if (container.compression === 'gzip') {
+          const compressed = Buffer.from(container.payload, 'base64');
+
+          decompressionResult = this.performanceManager
+            ? await this.performanceManager.decompressData(compressed)
+            : { success: true, data: (await gunzip(compressed)).toString('utf8') };
+
+          if (!decompressionResult.success) {
+            throw new Error(`Decompression failed: ${decompressionResult.error}`);
+          }
+
+          fileContent = decompressionResult.data;
+          isCompressed = true;
+        } else {
+          fileContent = container.payload;
+        }
+      } else if (fileBuffer.length >= 2 && fileBuffer[0] === 0x1f && fileBuffer[1] === 0x8b) {
         // File appears to be gzip compressed
         if (this.performanceManager) {
           decompressionResult = await this.performanceManager.decompressData(fileBuffer);
@@ -229,16 +258,15 @@ class FileSystemManager {
           throw new Error('File appears to be compressed but no performance manager available for decompression');
         }
       } else {
-        // File is not compressed, read as text
+        // Legacy JSON file, read as text
         fileContent = fileBuffer.toString('utf8');
       }
       
       // Parse JSON data
       const data = JSON.parse(fileContent);
       
-      // Validate checksum if available (use original buffer for compressed files)
-      const checksumBuffer = isCompressed ? fileBuffer : Buffer.from(fileContent, 'utf8');
-      const currentChecksum = this.calculateChecksum(checksumBuffer);
+      // Checksum of the file as written, like writeGameData
+      const currentChecksum = this.calculateChecksum(fileBuffer);
       
       // Record load operation in metadata
       if (this.metadataManager) {
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_DIR = path.join(__dirname, '..', 'app');
+
+// Game modules that make up the simulation layer, in index.html order
+const SIMULATION_MODULES = [
+  'js/helpers/bignum.js',
+  'js/helpers/beautify.js',
+  'js/helpers/skidsave.js',
+  'js/core.js',
+  'js/events.js',
+  'js/console.js',
+  'js/script.js',
+  'js/autoscript.js',
+  'js/server.js',
+  'js/buy.js',
+  'js/player.js',
+  'js/battery.js',
+  'js/achievements.js',
+  'js/prestige.js',
+  'js/botnet.js',
+  'js/challenge.js',
+  'js/options.js',
+  'js/tutorial.js',
+  'js/offline.js',
+  'js/slots.js',
+  'js/save.js'
+];
+
+/**
+ * HeadlessGame - Runs the game simulation layer in Node without a DOM
+ * Loads the renderer game modules in an isolated context, replaces the console
+ * output with an in-memory log and drives `skidinc.update(times)` directly.
+ * The browser APIs the save code needs are stubbed: an in-memory localStorage,
+ * confirm() answering yes, a counted location.reload() and no-op timers.
+ */
+class HeadlessGame {
+  /**
+   * @param {Object} options - Headless game options
+   * @param {Object|Array} [options.scripts] - Script definitions, defaults to app/data/scripts.json
+   * @param {Object|Array} [options.servers] - Server definitions, defaults to app/data/servers.json
+   * @param {Object|Array} [options.achievements] - Achievement definitions, defaults to app/data/achievements.json
+   * @param {Object} [options.storage] - localStorage values, share it between games to simulate a page reload
+   * @param {Object} [options.indexedDB] - indexedDB implementation, IndexedDB is unavailable without it
+   */
+  constructor(options = {}) {
+    this.logs = [];
+    this.storage = options.storage || {};
+    this.reloads = 0;
+    this.context = vm.createContext({ console, ...this.createBrowser(options) });
+    this.context.window = this.context;
+
+    for (const modulePath of SIMULATION_MODULES) {
+      const filename = path.join(APP_DIR, modulePath);
+      vm.runInContext(fs.readFileSync(filename, 'utf8'), this.context, { filename });
+    }
+
+    this.skidinc = this.context.skidinc;
+
+    // Console output is the only render-layer call made by the simulation
+    this.skidinc.console.print = (str, callback) => {
+      this.logs.push(str);
+
+      if (typeof callback === 'function') {
+        callback();
+      }
+    };
+
+    this.skidinc.console.init();
+
+    this.skidinc.tutorial.enabled = false;
+    this.skidinc.tutorial.finish = true;
+
+    this.skidinc.script.setScripts(options.scripts || this.readScripts());
+    this.skidinc.server.setServers(options.servers || this.readServers());
+    this.skidinc.achievements.setAchievements(options.achievements || this.readData('achievements.json'));
+    this.skidinc.script.init();
+    this.skidinc.autoscript.init();
+    this.skidinc.buy.init();
+    this.skidinc.botnet.init();
+    this.skidinc.challenge.init();
+  }
+
+  /**
+   * Browser globals used by the game outside of the DOM
+   * @param {Object} options - Headless game options
+   * @returns {Object} Context globals
+   */
+  createBrowser(options) {
+    const { storage } = this;
+    const browser = {
+      localStorage: {
+        getItem: (key) => (key in storage ? storage[key] : null),
+        setItem: (key, value) => { storage[key] = String(value); },
+        removeItem: (key) => { delete storage[key]; }
+      },
+      btoa: (str) => Buffer.from(str, 'binary').toString('base64'),
+      atob: (str) => Buffer.from(str, 'base64').toString('binary'),
+      Blob,
+      Response,
+      DecompressionStream,
+      confirm: () => true,
+      location: { reload: () => { this.reloads++; } },
+      // The browser loops are replaced by tick() and run()
+      setInterval: () => 0,
+      clearInterval: () => {}
+    };
+
+    if (options.indexedDB) {
+      browser.indexedDB = options.indexedDB;
+    }
+
+    return browser;
+  }
+
+  /**
+   * Reads the script definitions shipped with the game
+   * @returns {Object|null} Parsed scripts.json content, null to use the defaults
+   */
+  readScripts() {
+    return this.readData('scripts.json');
+  }
+
+  /**
+   * Reads the server definitions shipped with the game
+   * @returns {Object|null} Parsed servers.json content, null to use the defaults
+   */
+  readServers() {
+    return this.readData('servers.json');
+  }
+
+  /**
+   * Reads a JSON file from app/data
+   * @param {string} file - File name
+   * @returns {Object|null} Parsed content, null when missing or invalid
+   */
+  readData(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(APP_DIR, 'data', file), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Advances the simulation by a number of game ticks
+   * @param {number} times - Ticks to simulate in one update
+   */
+  tick(times = 1) {
+    this.skidinc.update(times);
+  }
+
+  /**
+   * Simulates a duration tick by tick, the same way the browser loop does
+   * @param {number} seconds - Duration to simulate
+   * @returns {number} Ticks simulated
+   */
+  run(seconds) {
+    const ticks = Math.round(seconds * this.skidinc.fps);
+
+    for (let i = 0; i < ticks; i++) {
+      this.skidinc.update(1);
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Runs a console command line, as if typed in the terminal
+   * @param {string} line - Command line
+   */
+  execute(line) {
+    this.skidinc.console.execute(line);
+  }
+
+  /**
+   * Returns and clears the console lines printed since the last call
+   * @returns {string[]} Printed lines
+   */
+  flushLogs() {
+    return this.logs.splice(0, this.logs.length);
+  }
+}
+
+module.exports = HeadlessGame;
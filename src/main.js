@@ -1017,6 +1017,17 @@ class ElectronApp {
       }
     });
 
+    // Game events emitted by skidinc.events in the renderer, forwarded to mods hooks
+    ipcMain.on('game-event', (event, type, payload) => {
+      if (!this.modLoader || typeof type !== 'string' || !/^[a-z]+:[a-z-]+$/.test(type)) {
+        return;
+      }
+
+      this.modLoader.emitHook(type, payload || {}).catch((error) => {
+        this.modErrors.push({ action: 'game-event', type, error: error.message, timestamp: Date.now() });
+      });
+    });
+
     ipcMain.handle('mods-get-errors', async () => {
       try {
         return this.createSuccessResponse({ errors: [...this.modErrors] });
@@ -1255,7 +1266,7 @@ class ElectronApp {
    */
   formatSaveDisplayName(filename) {
     // Remove timestamp and extension for display
-    return filename.replace(/^\d+_/, '').replace(/.json$/, '');
+    return filename.replace(/^\d+_/, '').replace(/\.(json|skidsave)$/, '');
   }
 
   /**
@@ -1263,7 +1274,7 @@ class ElectronApp {
    */
   formatBackupDisplayName(filename) {
     // Remove backup prefix and extension for display
-    return filename.replace(/^backup_/, '').replace(/.json$/, '');
+    return filename.replace(/^backup_/, '').replace(/\.(json|skidsave)$/, '');
   }
 
   /**
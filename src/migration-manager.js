@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
+const SkidSave = require('../app/js/helpers/skidsave');
 
 /**
  * MigrationManager - Handles migration of game data from localStorage to file system
@@ -88,7 +89,7 @@ class MigrationManager {
 
         // Server data conversion
         server: {
-          owned: localStorageData.server?.owned || []
+          owned: localStorageData.server?.owned || {}
         },
 
         // Battery data conversion (added in version 0.32)
@@ -99,7 +100,8 @@ class MigrationManager {
 
         // Achievements data conversion
         achievements: {
-          owned: localStorageData.achievements?.owned || []
+          owned: localStorageData.achievements?.owned || [],
+          dates: localStorageData.achievements?.dates || []
         },
 
         // Autoscript data conversion
@@ -200,9 +202,14 @@ class MigrationManager {
 
       // Validate server data
       if (convertedData.server) {
-        if (!Array.isArray(convertedData.server.owned)) {
-          validation.warnings.push('Server owned array is invalid, defaulting to empty array');
-          convertedData.server.owned = [];
+        const owned = convertedData.server.owned;
+
+        // Saves from before 0.40 store levels as a [telnet, web] array
+        if (Array.isArray(owned)) {
+          convertedData.server.owned = { telnet: owned[0] || 0, web: owned[1] || 0 };
+        } else if (!owned || typeof owned !== 'object') {
+          validation.warnings.push('Server owned levels are invalid, defaulting to empty object');
+          convertedData.server.owned = {};
         }
       }
 
@@ -274,7 +281,7 @@ class MigrationManager {
 
       // Step 3: Generate filename for migrated save
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = customFilename || `migrated_localStorage_${timestamp}.json`;
+      const filename = customFilename || `migrated_localStorage_${timestamp}${SkidSave.extension}`;
 
       // Step 4: Save converted data to file system
       const saveResult = await this.fileSystemManager.writeGameData(filename, convertedData);
@@ -286,7 +293,7 @@ class MigrationManager {
       }
 
       // Step 6: Create backup of original localStorage data
-      const backupFilename = `localStorage_backup_${timestamp}.json`;
+      const backupFilename = `localStorage_backup_${timestamp}${SkidSave.extension}`;
       await this.createLocalStorageBackup(localStorageData, backupFilename);
 
       this.migrationCompleted = true;
@@ -423,7 +430,7 @@ class MigrationManager {
     try {
       // The original game uses a custom base64 encoding function
       // We need to reverse the process: b64uDecode -> JSON.parse
-      const decodedString = this.b64uDecode(encodedData);
+      const decodedString = this.b64uDecode(this.readExportString(encodedData));
       const gameData = JSON.parse(decodedString);
       
       console.log('localStorage data decoded successfully');
@@ -433,6 +440,40 @@ class MigrationManager {
     }
   }
 
+  /**
+   * Unwraps a `save export` string ('SKINC:<version>:<checksum>:<data>') to its
+   * base64 data, raw localStorage values are returned unchanged
+   * @param {string} str - Export string or base64 encoded localStorage value
+   * @returns {string} Base64 encoded save
+   */
+  readExportString(str) {
+    const parts = str.trim().split(':');
+
+    if (parts[0] !== this.localStorageKey) {
+      return str;
+    }
+
+    if (parts.length !== 4) {
+      throw new Error('Invalid save export string');
+    }
+
+    if (this.checksum(parts[3]) !== parts[2]) {
+      throw new Error('Save export checksum mismatch');
+    }
+
+    // Export data uses the url-safe alphabet, Buffer decodes both
+    return parts[3].replace(/-/g, '+').replace(/_/g, '/');
+  }
+
+  /**
+   * FNV-1a hash used by the game to checksum save exports
+   * @param {string} str - Exported save data
+   * @returns {string} 8 characters hex checksum
+   */
+  checksum(str) {
+    return SkidSave.checksum(str);
+  }
+
   /**
    * Custom base64 decode function matching the original game's encoding
    * @param {string} what - Base64 encoded string
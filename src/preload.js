@@ -61,6 +61,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   reloadMods: () => ipcRenderer.invoke('mods-reload'),
   getModErrors: () => ipcRenderer.invoke('mods-get-errors'),
   openModsDirectory: () => ipcRenderer.invoke('mods-open-directory'),
+  emitGameEvent: (type, payload) => ipcRenderer.send('game-event', requireNonEmptyString(type, 'type'), payload),
   
   // Auto-updater methods
   checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
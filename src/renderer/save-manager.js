@@ -43,6 +43,8 @@ class SaveStateManager {
 
     console.log('Electron integration initialized');
     
+    this.bindGameEvents();
+    
     // Set up menu event listeners
     window.electronAPI.onMenuSaveGame(() => {
       console.log('Save game requested from menu');
@@ -294,52 +296,13 @@ class SaveStateManager {
     try {
       // Check if SkidInc game object exists
       if (typeof window.skidinc !== 'undefined' && window.skidinc) {
-        return {
-          version: window.skidinc.version || '0.33',
-          timestamp: Date.now(),
-          player: {
-            username: window.skidinc.player?.username || 'kiddie',
-            money: window.skidinc.player?.money || 0,
-            totalMoney: window.skidinc.player?.totalMoney || 0,
-            exp: window.skidinc.player?.exp || 0,
-            totalExp: window.skidinc.player?.totalExp || 0,
-            expReq: window.skidinc.player?.expReq || 100,
-            level: window.skidinc.player?.level || 1,
-            botnet: window.skidinc.player?.botnet || 0,
-            prestigeCount: window.skidinc.player?.prestigeCount || 0
-          },
-          script: {
-            unlocked: window.skidinc.script?.unlocked || [],
-            completed: window.skidinc.script?.completed || [],
-            totalCompleted: window.skidinc.script?.totalCompleted || 0,
-            available: window.skidinc.script?.available || [],
-            current: window.skidinc.script?.current || null,
-            time: window.skidinc.script?.time || 0,
-            maxTime: window.skidinc.script?.maxTime || 0
-          },
-          server: {
-            owned: window.skidinc.server?.owned || []
-          },
-          battery: {
-            level: window.skidinc.battery?.level || 1,
-            time: window.skidinc.battery?.time || 0
-          },
-          achievements: {
-            owned: window.skidinc.achievements?.owned || []
-          },
-          autoscript: {
-            unlocked: window.skidinc.autoscript?.unlocked || []
-          },
-          options: {
-            typed: window.skidinc.options?.typed !== undefined ? window.skidinc.options.typed : true
-          },
-          tutorial: {
-            finish: true // Always mark tutorial as finished in saves
-          },
-          console: {
-            grammarly: window.skidinc.console?.grammarly || false
-          }
-        };
+        // The game serializes its own modules, BigNum values included
+        const state = this.deepClone(window.skidinc.save.serialize());
+
+        state.timestamp = Date.now();
+        state.tutorial.finish = true; // Always mark tutorial as finished in saves
+
+        return state;
       }
       
       // Check if generic game object exists
@@ -494,55 +457,11 @@ class SaveStateManager {
       if (typeof window.skidinc !== 'undefined' && window.skidinc) {
         console.log('Applying game state to SkidInc game object');
         
-        // Apply player data
-        if (gameState.player && window.skidinc.player) {
-          Object.assign(window.skidinc.player, gameState.player);
-        }
-        
-        // Apply script data
-        if (gameState.script && window.skidinc.script) {
-          Object.assign(window.skidinc.script, gameState.script);
-        }
-        
-        // Apply server data
-        if (gameState.server && window.skidinc.server) {
-          Object.assign(window.skidinc.server, gameState.server);
-        }
-        
-        // Apply battery data
-        if (gameState.battery && window.skidinc.battery) {
-          Object.assign(window.skidinc.battery, gameState.battery);
-        }
-        
-        // Apply achievements data
-        if (gameState.achievements && window.skidinc.achievements) {
-          Object.assign(window.skidinc.achievements, gameState.achievements);
-        }
-        
-        // Apply autoscript data
-        if (gameState.autoscript && window.skidinc.autoscript) {
-          Object.assign(window.skidinc.autoscript, gameState.autoscript);
-        }
-        
-        // Apply options data
-        if (gameState.options && window.skidinc.options) {
-          Object.assign(window.skidinc.options, gameState.options);
-        }
-        
-        // Apply tutorial data and ensure tutorial is marked as finished when loading a save
-        if (gameState.tutorial && window.skidinc.tutorial) {
-          Object.assign(window.skidinc.tutorial, gameState.tutorial);
-          // Force tutorial to be finished when loading any save
-          window.skidinc.tutorial.finish = true;
-        } else if (window.skidinc.tutorial) {
-          // If no tutorial data in save, still mark tutorial as finished
-          window.skidinc.tutorial.finish = true;
-        }
-        
-        // Apply console data
-        if (gameState.console && window.skidinc.console) {
-          Object.assign(window.skidinc.console, gameState.console);
-        }
+        // Saves from older versions are brought up to date by the game migrations
+        window.skidinc.save.deserialize(window.skidinc.save.migrate(gameState));
+
+        // Force tutorial to be finished when loading any save
+        window.skidinc.tutorial.finish = true;
         
         // Hide tutorial elements if they exist
         this.hideTutorialElements();
@@ -828,6 +747,26 @@ class SaveStateManager {
     }
   }
 
+  /**
+   * Subscribe to game events so meaningful state changes are picked up
+   * right away instead of waiting for the next state monitoring poll
+   */
+  bindGameEvents() {
+    if (typeof window.skidinc === 'undefined' || !window.skidinc.events) {
+      return;
+    }
+
+    const significantEvents = ['purchase:script', 'purchase:autoscript', 'purchase:server', 'purchase:battery', 'purchase:multiplier', 'purchase:slot', 'purchase:botnet', 'achievement:unlocked', 'prestige:reset', 'challenge:started', 'challenge:completed', 'challenge:abandoned'];
+
+    significantEvents.forEach((type) => {
+      window.skidinc.events.on(type, () => {
+        if (this.autoSaveEnabled) {
+          this.checkForStateChanges();
+        }
+      });
+    });
+  }
+
   /**
    * Handle save request from menu or manual trigger
    */
@@ -1558,6 +1497,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Initialize save state manager
   window.saveStateManager = new SaveStateManager();  
+  
+  // Show unlocked achievements as notifications
+  if (window.skidinc && window.skidinc.events) {
+    window.skidinc.events.on('achievement:unlocked', (data) => {
+      window.notificationManager.showNotification(`Achievement unlocked: ${data.achievement.name}`, 'success');
+    });
+
+  }
+  
   // Connect notification manager to save state manager
   if (window.saveStateManager && window.notificationManager) {
     // Override the showNotification method to use NotificationManager
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+test('non-finite numbers are rejected', () => {
+  const { BigNum } = new HeadlessGame().context;
+
+  for (const value of [Infinity, -Infinity, NaN]) {
+    assert.throws(() => BigNum.from(value), /is not a finite number/);
+  }
+
+  assert.strictEqual(BigNum.from(null).toJSON(), 0);
+  assert.strictEqual(BigNum.from('1e400').toString(), '1e400');
+});
+
+test('multipliers past the double range keep their value', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+
+  skidinc.server.getEffect = () => 1e200;
+  skidinc.achievements.getMult = () => 1e200;
+
+  assert.strictEqual(skidinc.player.getMoneyMult().log10().toFixed(6), '400.000000');
+  assert.strictEqual(skidinc.player.getExpMult(true).log10().toFixed(6), '400.000000');
+
+  skidinc.player.earn('money', skidinc.script.getMoney(skidinc.script.scripts[0]));
+
+  assert.ok(skidinc.player.money.gt('1e400'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+test('previews without an item ask for one', () => {
+  const game = new HeadlessGame();
+
+  for (const category of ['server', 'autoscript', 'script']) {
+    game.execute(`buy ${category} --preview`);
+
+    const [log] = game.flushLogs();
+
+    assert.match(log, new RegExp(`put an item name after <b>buy ${category}</b>`));
+  }
+
+  // botnet upgrades are bought with their own command, which has no preview
+  game.execute('buy botnet --preview');
+  game.execute('botnet --preview');
+
+  for (const log of game.flushLogs()) {
+    assert.ok(log.startsWith('<x>ERR</x>'));
+    assert.ok(!log.includes('undefined'), log);
+  }
+});
+
+test('previews of categories without items still work', () => {
+  const game = new HeadlessGame();
+
+  game.execute('buy battery --preview');
+
+  assert.match(game.flushLogs()[0], /BUY PREVIEW/);
+});
+
+test('battery upgrades are ranked on a charged battery', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+
+  skidinc.autoscript.unlocked[0] = true;
+  skidinc.battery.time = 0;
+
+  const [empty] = skidinc.buy.getPaybacks(skidinc.buy.getCategory('battery'));
+
+  assert.ok(Number.isFinite(empty.payback));
+  assert.strictEqual(empty.charged, true);
+  assert.strictEqual(skidinc.battery.time, 0);
+
+  game.execute('advise -a');
+  assert.match(game.flushLogs()[0], /battery<\/z>.*when charged/);
+
+  skidinc.battery.time = skidinc.battery.getMaxCharge();
+
+  const [charged] = skidinc.buy.getPaybacks(skidinc.buy.getCategory('battery'));
+
+  assert.strictEqual(charged.charged, false);
+  assert.strictEqual(charged.payback, empty.payback);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+test('budget hosting caps the server levels kept by persistence', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+
+  skidinc.botnet.owned.persistence = 5;
+  skidinc.server.owned.telnet = 60;
+  skidinc.server.owned.web = 4;
+
+  game.execute('challenge servercap');
+
+  assert.strictEqual(skidinc.challenge.active, 'servercap');
+  assert.strictEqual(skidinc.server.owned.telnet, 10);
+  assert.strictEqual(skidinc.server.owned.web, 2);
+});
+
+test('starting a challenge is not a prestige', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+
+  skidinc.player.earn('money', 1e12);
+  skidinc.prestige.loop(1);
+
+  assert.ok(skidinc.prestige.botnetOnReset.gt(0));
+
+  game.execute('challenge nobattery');
+
+  const logs = game.flushLogs();
+
+  assert.strictEqual(skidinc.player.botnet.toJSON(), 0);
+  assert.strictEqual(skidinc.player.prestigeCount, 0);
+  assert.strictEqual(skidinc.prestige.history.length, 0);
+  assert.strictEqual(skidinc.challenge.getProgress().toJSON(), 0);
+  assert.ok(logs.every((line) => !line.includes('PRESTIGE')));
+  assert.match(logs[logs.length - 1], /Blackout<\/b> started/);
+});
+
+test('a declined confirmation keeps the current run', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+  let question = null;
+
+  game.context.confirm = (message) => {
+    question = message;
+    return false;
+  };
+
+  skidinc.player.earn('money', 1e12);
+  skidinc.server.owned.telnet = 5;
+  skidinc.prestige.loop(1);
+
+  const money = skidinc.player.money.toJSON();
+  const pending = skidinc.prestige.botnetOnReset.toJSON();
+
+  game.execute('challenge nobattery');
+
+  assert.match(question, /money, servers and scripts/);
+  assert.match(question, /pending botnets will not be granted/);
+  assert.match(game.flushLogs()[0], /challenge start cancelled/);
+  assert.strictEqual(skidinc.challenge.active, null);
+  assert.strictEqual(skidinc.player.money.toJSON(), money);
+  assert.strictEqual(skidinc.server.owned.telnet, 5);
+  assert.strictEqual(skidinc.prestige.botnetOnReset.toJSON(), pending);
+});
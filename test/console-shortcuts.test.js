@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+test('shortcut names are limited to a safe character set', () => {
+  const game = new HeadlessGame();
+
+  game.execute('alias hasOwnProperty help');
+  game.execute('macro constructor help');
+  game.execute('alias Bad help');
+  game.execute('alias ok-name_1 help');
+
+  const logs = game.flushLogs();
+
+  assert.match(logs[0], /is not a valid alias name/);
+  assert.match(logs[1], /is not a valid macro name/);
+  assert.match(logs[2], /is not a valid alias name/);
+  assert.match(logs[3], /now runs/);
+  assert.deepStrictEqual(Object.keys(game.skidinc.console.aliases), ['ok-name_1']);
+});
+
+test('saved shortcuts named like object methods do not break the console', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+
+  skidinc.console.deserialize({
+    ...JSON.parse(JSON.stringify(skidinc.console.serialize())),
+    aliases: { hasOwnProperty: 'help' },
+    macros: { toString: 'help' }
+  });
+
+  game.execute('nope');
+  game.execute('alias -d hasOwnProperty');
+
+  const logs = game.flushLogs();
+
+  assert.match(logs[0], /nope/);
+  assert.match(logs[1], /removed/);
+  assert.strictEqual(skidinc.console.hasShortcut(skidinc.console.macros, 'toString'), true);
+});
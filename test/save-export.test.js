@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+test('export strings carry a version and checksum header', () => {
+  const { skidinc } = new HeadlessGame();
+  const parts = skidinc.save.getExport().split(':');
+
+  assert.strictEqual(parts.length, 4);
+  assert.strictEqual(parts[0], 'SKINC');
+  assert.strictEqual(Number(parts[1]), skidinc.version);
+  assert.strictEqual(parts[2], skidinc.save.checksum(parts[3]));
+});
+
+test('export strings can be typed in the console', () => {
+  const { skidinc } = new HeadlessGame();
+
+  skidinc.player.username = 'ünïcode';
+  skidinc.console.aliases.x = 'script hare.ctx';
+
+  for (let i = 0; i < 20; i++) {
+    skidinc.player.earn('money', 1234.5678 * i);
+
+    assert.ok(skidinc.console.checkStr(skidinc.save.getExport()));
+  }
+});
+
+test('exported saves import into another game', () => {
+  const source = new HeadlessGame().skidinc;
+
+  source.player.username = 'ünïcode';
+  source.player.earn('money', 98765);
+  source.server.owned.web = 3;
+  source.challenge.completed.servercap = true;
+
+  const target = new HeadlessGame().skidinc;
+  const save = target.save.parseExport(source.save.getExport());
+
+  assert.strictEqual(typeof save, 'object');
+
+  target.save.deserialize(target.save.migrate(save));
+
+  assert.strictEqual(target.player.username, 'ünïcode');
+  assert.strictEqual(target.player.money.toJSON(), source.player.money.toJSON());
+  assert.strictEqual(target.server.owned.web, 3);
+  assert.strictEqual(target.challenge.isCompleted('servercap'), true);
+});
+
+test('invalid export strings are rejected', () => {
+  const { skidinc } = new HeadlessGame();
+  const [header, version, checksum, data] = skidinc.save.getExport().split(':');
+  const tampered = data.slice(0, -2) + (data.slice(-2) === 'AA' ? 'BB' : 'AA');
+
+  const errors = {
+    garbage: 'not a save',
+    header: ['NOPE', version, checksum, data].join(':'),
+    version: [header, 'x', checksum, data].join(':'),
+    newer: [header, skidinc.version + 1, checksum, data].join(':'),
+    checksum: [header, version, checksum, tampered].join(':'),
+    mismatch: [header, '0.3', checksum, data].join(':'),
+    payload: [header, version, skidinc.save.checksum('abc'), 'abc'].join(':')
+  };
+
+  for (const [name, str] of Object.entries(errors)) {
+    const result = skidinc.save.parseExport(str);
+
+    assert.strictEqual(typeof result, 'string', `${name} string was accepted`);
+    assert.ok(result.startsWith('<x>ERR</x>'), `${name} has no error message`);
+  }
+});
+
+test('save command exports and validates imports', () => {
+  const game = new HeadlessGame();
+
+  game.execute('save export');
+
+  const [exported] = game.flushLogs();
+
+  assert.ok(exported.includes(game.skidinc.save.getExport()));
+
+  game.execute(`save import SKINC:${game.skidinc.version}:00000000:-abc`);
+  assert.match(game.flushLogs()[0], /checksum mismatch/);
+
+  game.execute('save import');
+  assert.match(game.flushLogs()[0], /paste the exported string/);
+});
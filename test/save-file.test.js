@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const SkidSave = require('../app/js/helpers/skidsave');
+const HeadlessGame = require('../src/headless-game');
+
+/**
+ * Reads a .skidsave file the way the web upload does
+ * @param {Object} skidinc - Game namespace
+ * @param {string} str - File content
+ * @returns {Promise<Array>} Error string and save, like the readFile callback
+ */
+const readFile = (skidinc, str) => new Promise((resolve) => {
+  skidinc.save.readFile(str, (error, save) => resolve([error, save]));
+});
+
+test('containers round trip their payload and header', () => {
+  const payload = JSON.stringify({ version: 0.46, player: { username: 'ünïcode' } });
+  const str = SkidSave.build(payload, 0.46, 'none');
+  const container = SkidSave.parse(str);
+
+  assert.ok(str.startsWith(`SKIDSAVE 1 0.46 none ${SkidSave.checksum(payload)}\n`));
+  assert.strictEqual(container.format, SkidSave.format);
+  assert.strictEqual(container.version, '0.46');
+  assert.strictEqual(container.compression, 'none');
+  assert.strictEqual(container.payload, payload);
+});
+
+test('invalid containers are rejected', () => {
+  const str = SkidSave.build('{"version":0.46}', 0.46, 'none');
+  const [header, payload] = str.split('\n');
+  const fields = header.split(' ');
+  const replace = (index, value) => fields.map((field, i) => (i === index ? value : field)).join(' ');
+
+  const errors = {
+    'not a .skidsave': '{"version":0.46}',
+    'invalid .skidsave header': replace(1, 'x') + '\n' + payload,
+    'is newer than the supported': replace(1, String(SkidSave.format + 1)) + '\n' + payload,
+    'unknown .skidsave compression': replace(3, 'lzma') + '\n' + payload,
+    'checksum mismatch': header + '\n' + payload.replace('46', '47')
+  };
+
+  for (const [message, content] of Object.entries(errors)) {
+    assert.throws(() => SkidSave.parse(content), (error) => error.message.includes(message), message);
+  }
+});
+
+test('downloaded saves upload into another game', async () => {
+  const source = new HeadlessGame().skidinc;
+
+  source.player.username = 'ünïcode';
+  source.player.earn('money', 98765);
+  source.botnet.owned.overclock = 2;
+
+  const file = source.save.toFile();
+  const target = new HeadlessGame().skidinc;
+  const [error, save] = await readFile(target, file);
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(SkidSave.parse(file).version, String(source.version));
+
+  target.save.deserialize(target.save.migrate(save));
+
+  assert.strictEqual(target.player.username, 'ünïcode');
+  assert.strictEqual(target.player.money.toJSON(), source.player.money.toJSON());
+  assert.strictEqual(target.botnet.getLevel('overclock'), 2);
+});
+
+test('compressed desktop saves with partial modules are read', async () => {
+  const { skidinc } = new HeadlessGame();
+  const desktop = {
+    version: String(skidinc.version),
+    player: { username: 'desktop', money: 500, level: 4 },
+    server: { owned: { telnet: 2 } },
+    _compressionMetadata: { compressed: true }
+  };
+  const payload = zlib.gzipSync(JSON.stringify(desktop, null, 2)).toString('base64');
+  const [error, save] = await readFile(skidinc, SkidSave.build(payload, desktop.version, 'gzip'));
+
+  assert.strictEqual(error, null);
+
+  skidinc.save.deserialize(skidinc.save.migrate(save));
+
+  assert.strictEqual(skidinc.player.username, 'desktop');
+  assert.strictEqual(skidinc.player.level, 4);
+  assert.ok(skidinc.player.expReq.gt(0));
+  assert.strictEqual(skidinc.server.owned.telnet, 2);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(skidinc.console.history)), []);
+});
+
+test('unreadable save files report an error', async () => {
+  const { skidinc } = new HeadlessGame();
+  const newer = JSON.stringify({ version: skidinc.version + 1, player: {} });
+
+  const files = {
+    'not a .skidsave': 'SKINC:0.46:00000000:abc',
+    'can\'t be decoded': SkidSave.build('{nope', skidinc.version, 'none'),
+    'valid save': SkidSave.build('[]', skidinc.version, 'none'),
+    'newer version': SkidSave.build(newer, skidinc.version + 1, 'none'),
+    'can\'t be decompressed': SkidSave.build('bm90IGd6aXA=', skidinc.version, 'gzip')
+  };
+
+  for (const [message, content] of Object.entries(files)) {
+    const [error] = await readFile(skidinc, content);
+
+    assert.ok(error.startsWith('<x>ERR</x>'), `${message} has no error message`);
+    assert.ok(error.includes(message), `${message}: ${error}`);
+  }
+});
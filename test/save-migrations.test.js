@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const HeadlessGame = require('../src/headless-game');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'saves');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => file.slice(0, -5))
+  .sort((a, b) => Number(a) - Number(b));
+
+const readFixture = (version) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${version}.json`), 'utf8'));
+
+// Plain JSON view of a game value, BigNums included
+const plain = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+const game = new HeadlessGame();
+const { skidinc } = game;
+
+/**
+ * Loads a save into a fresh game, the same way the renderer does on startup
+ * @param {Object} save - Plain save object
+ * @returns {Object} Game skidinc namespace
+ */
+const loadSave = (save) => {
+  const loaded = new HeadlessGame();
+
+  loaded.skidinc.save.deserialize(loaded.skidinc.save.migrate(save));
+
+  return loaded.skidinc;
+};
+
+// One case per migration, fixture is a save older than the migration
+const cases = {
+  0.31: {
+    fixture: '0.30',
+    check: (save) => {
+      assert.strictEqual(save.player.botnet, 0);
+      assert.strictEqual(save.player.prestigeCount, 0);
+    }
+  },
+  0.32: {
+    fixture: '0.30',
+    check: (save) => {
+      assert.deepStrictEqual(save.battery, { level: 1, time: 0 });
+    }
+  },
+  0.33: {
+    fixture: '0.30',
+    check: (save) => {
+      assert.strictEqual(save.console.grammarly, false);
+    }
+  },
+  0.34: {
+    fixture: '0.33',
+    check: (save) => {
+      assert.strictEqual(save.player.multiplierLevel, 0);
+      assert.strictEqual(save.player.botnet, 7);
+      assert.deepStrictEqual(save.battery, { level: 3, time: 12 });
+    }
+  },
+  0.35: {
+    fixture: '0.33',
+    check: (save) => {
+      assert.deepStrictEqual(save.offline, { cap: 43200 });
+    }
+  },
+  0.36: {
+    fixture: '0.35',
+    check: (save) => {
+      assert.strictEqual(save.player.expReq, skidinc.player.getExpReq(1800).toJSON());
+      assert.strictEqual(save.offline.cap, 86400);
+    }
+  },
+  0.37: {
+    fixture: '0.35',
+    check: (save) => {
+      assert.deepStrictEqual(save.console.history, []);
+      assert.deepStrictEqual(save.console.aliases, {});
+      assert.deepStrictEqual(save.console.macros, {});
+      assert.strictEqual(save.console.grammarly, true);
+    }
+  },
+  0.38: {
+    fixture: '0.35',
+    check: (save) => {
+      assert.deepStrictEqual(save.script.queue, []);
+    }
+  },
+  0.39: {
+    fixture: '0.38',
+    check: (save) => {
+      assert.strictEqual(save.script.slots.length, 1);
+      assert.strictEqual(save.script.slots[0].current.id, 'yerg.trj');
+      assert.strictEqual(save.script.slots[0].time, 6.5);
+      assert.strictEqual(save.script.slots[0].maxTime, 16);
+      assert.strictEqual(save.script.current, undefined);
+      assert.deepStrictEqual(save.script.queue, [{ id: 'hare.ctx', count: 3 }]);
+    }
+  },
+  0.40: {
+    fixture: '0.38',
+    check: (save) => {
+      assert.deepStrictEqual(save.server.owned, { telnet: 3, web: 1 });
+    }
+  },
+  0.41: {
+    fixture: '0.38',
+    check: (save) => {
+      assert.strictEqual(save.options.roi, false);
+    }
+  },
+  0.42: {
+    fixture: '0.38',
+    check: (save) => {
+      assert.deepStrictEqual(save.botnet, { owned: {}, spent: 0 });
+    }
+  },
+  0.43: {
+    fixture: '0.42',
+    check: (save) => {
+      assert.deepStrictEqual(save.prestige, { history: [], run: { start: null, money: 0, completed: 0 } });
+      assert.deepStrictEqual(save.botnet, { owned: { overclock: 2, cracked: 1 }, spent: 21 });
+    }
+  },
+  0.44: {
+    fixture: '0.42',
+    check: (save) => {
+      assert.deepStrictEqual(save.challenge, { active: null, completed: {} });
+    }
+  },
+  0.45: {
+    fixture: '0.44',
+    check: (save) => {
+      assert.strictEqual(save.achievements.dates.length, save.achievements.owned.length);
+      assert.ok(save.achievements.dates.every((date) => date === null));
+      assert.strictEqual(save.challenge.active, 'servercap');
+    }
+  },
+  0.46: {
+    fixture: '0.44',
+    check: (save) => {
+      assert.deepStrictEqual(save.console.counters, { unknown: 0, clear: 0 });
+    }
+  }
+};
+
+test('migrations are ordered and end at the current version', () => {
+  const versions = skidinc.save.migrations.map((migration) => migration.version);
+
+  versions.forEach((version, i) => {
+    assert.ok(version > (i ? versions[i - 1] : skidinc.save.firstVersion), `migration ${version} is out of order`);
+  });
+
+  assert.strictEqual(versions[versions.length - 1], skidinc.version, 'the current version has no migration');
+});
+
+test('every migration is covered by a fixture test', () => {
+  for (const migration of skidinc.save.migrations) {
+    assert.ok(cases[migration.version], `migration ${migration.version} has no test case`);
+    assert.ok(Number(cases[migration.version].fixture) < migration.version, `migration ${migration.version} fixture is not older`);
+  }
+});
+
+for (const migration of skidinc.save.migrations) {
+  const { fixture, check } = cases[migration.version] || {};
+
+  test(`migration ${migration.version.toFixed(2)} upgrades a ${fixture} save`, () => {
+    const save = readFixture(fixture);
+
+    skidinc.save.migrations
+      .filter((step) => step.version > save.version && step.version <= migration.version)
+      .forEach((step) => step.migrate(save));
+
+    // migrations run in the game context, their objects are compared as plain JSON
+    check(plain(save));
+  });
+}
+
+for (const version of fixtures) {
+  test(`${version} save migrates to the current version`, () => {
+    const save = readFixture(version);
+    const migrated = skidinc.save.migrate(save);
+
+    assert.strictEqual(migrated.version, skidinc.version);
+    assert.deepStrictEqual(save, readFixture(version), 'migrate changed its argument');
+
+    for (const id of skidinc.save.modules) {
+      for (const key of Object.keys(skidinc[id].serialize())) {
+        assert.notStrictEqual(migrated[id][key], undefined, `${id}.${key} is missing`);
+      }
+    }
+  });
+
+  test(`${version} save loads and survives a save round trip`, () => {
+    const loaded = loadSave(readFixture(version));
+    const reloaded = loadSave(plain(loaded.save.serialize()));
+
+    assert.strictEqual(loaded.player.username, 'kiddie');
+    assert.ok(loaded.player.expReq.gt(0));
+    assert.deepStrictEqual(plain(reloaded.save.serialize()), plain(loaded.save.serialize()));
+  });
+}
+
+test('current saves are not changed by migrations', () => {
+  const save = readFixture(String(skidinc.version));
+
+  assert.deepStrictEqual(plain(skidinc.save.migrate(save)), save);
+});
+
+test('fields dropped by older loaders are loaded', () => {
+  const loaded = loadSave(readFixture('0.30'));
+
+  assert.deepStrictEqual(plain(loaded.options.themesUnlocked), [true, true, false]);
+  assert.strictEqual(loaded.autoscript.time[0], 2.5);
+  assert.strictEqual(loaded.script.slots[0].current.id, 'yerg.trj');
+  assert.strictEqual(loaded.script.slots[0].run, -1);
+  assert.strictEqual(loaded.server.owned.telnet, 3);
+});
+
+test('big numbers and modules state are restored', () => {
+  const loaded = loadSave(readFixture('0.46'));
+
+  assert.strictEqual(loaded.player.money.toJSON(), '4.5e305');
+  assert.strictEqual(loaded.prestige.history[0].money.toJSON(), 2.5e20);
+  assert.strictEqual(loaded.prestige.run.money.toJSON(), 3e20);
+  assert.strictEqual(loaded.botnet.getLevel('overclock'), 2);
+  assert.strictEqual(loaded.botnet.spent.toJSON(), 21);
+  assert.strictEqual(loaded.challenge.isCompleted('nobattery'), true);
+  assert.strictEqual(loaded.challenge.active, 'servercap');
+  assert.strictEqual(loaded.script.slots[0].current.id, 'acid.pl');
+  assert.strictEqual(loaded.script.slots[1].current, null);
+  assert.strictEqual(loaded.achievements.dates[0], 1500000000000);
+  assert.deepStrictEqual(plain(loaded.console.counters), { unknown: 12, clear: 3 });
+});
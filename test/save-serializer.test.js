@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+test('saves only contain module state', () => {
+  const game = new HeadlessGame();
+
+  game.skidinc.save.getDirty();
+  const save = JSON.parse(game.skidinc.save.stringify());
+
+  assert.deepStrictEqual(Object.keys(save), ['version', 'before', ...game.skidinc.save.modules]);
+  assert.strictEqual(save.script.scripts, undefined);
+  assert.strictEqual(save.achievements.ach, undefined);
+  assert.ok(JSON.stringify(save).length < JSON.stringify(game.skidinc).length / 2);
+});
+
+test('serialize and deserialize round trip every module', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+
+  skidinc.player.earn('money', 12345);
+  skidinc.server.owned.telnet = 4;
+  skidinc.console.counters.unknown = 3;
+  skidinc.script.slots[0].current = skidinc.script.scripts[1];
+  skidinc.script.slots[0].time = 5;
+
+  const save = JSON.parse(JSON.stringify(skidinc.save.serialize()));
+  const loaded = new HeadlessGame().skidinc;
+
+  loaded.save.deserialize(loaded.save.migrate(save));
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(loaded.save.serialize())), save);
+  assert.strictEqual(loaded.script.slots[0].current, loaded.script.scripts[1]);
+});
+
+test('unchanged state is not written again', () => {
+  const game = new HeadlessGame();
+  const { skidinc } = game;
+  const { setItem } = game.context.localStorage;
+  let count = 0;
+
+  game.context.localStorage.setItem = (key, value) => {
+    count++;
+    setItem(key, value);
+  };
+
+  const writes = () => count;
+
+  // arrays built in the game context are compared as plain arrays
+  assert.deepStrictEqual([...skidinc.save.getDirty()], [...skidinc.save.modules]);
+  assert.deepStrictEqual([...skidinc.save.getDirty()], []);
+
+  skidinc.save.saveNow();
+  assert.strictEqual(writes(), 0);
+
+  skidinc.battery.level = 2;
+  skidinc.save.saveNow();
+  assert.strictEqual(writes(), 1);
+  assert.strictEqual(JSON.parse(skidinc.save.b64uDecode(game.storage.SKINC)).battery.level, 2);
+
+  skidinc.before += 1000;
+  skidinc.save.saveNow();
+  assert.strictEqual(writes(), 1);
+
+  skidinc.save.saveNow(false, true);
+  assert.strictEqual(writes(), 2);
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadlessGame = require('../src/headless-game');
+
+/**
+ * Minimal in-memory IndexedDB, enough for the slots store: open, put, delete, getAll
+ * @param {Map} records - Records shared between games, by key
+ * @returns {Object} indexedDB replacement
+ */
+const createIndexedDB = (records) => {
+  const respond = (result) => {
+    const request = { result };
+
+    setImmediate(() => request.onsuccess && request.onsuccess());
+
+    return request;
+  };
+
+  const store = {
+    put: (value) => {
+      records.set(value.id, JSON.parse(JSON.stringify(value)));
+      return respond(value.id);
+    },
+    delete: (key) => {
+      records.delete(key);
+      return respond(undefined);
+    },
+    getAll: () => respond([...records.values()].map((value) => JSON.parse(JSON.stringify(value))))
+  };
+
+  const db = {
+    createObjectStore: () => store,
+    transaction: () => ({ objectStore: () => store })
+  };
+
+  return {
+    open: () => {
+      const request = { result: db };
+
+      setImmediate(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+
+      return request;
+    }
+  };
+};
+
+/**
+ * Loads the game on a shared browser storage, as if the page was reloaded
+ * @param {Object} browser - Shared localStorage values and IndexedDB records
+ * @returns {Promise<Object>} Headless game with its slots loaded
+ */
+const loadGame = async (browser) => {
+  const game = new HeadlessGame({
+    storage: browser.storage,
+    indexedDB: browser.records && createIndexedDB(browser.records)
+  });
+
+  game.skidinc.save.loadNow();
+  game.skidinc.slots.init();
+  await settle();
+
+  return game;
+};
+
+// Lets the fake IndexedDB callbacks run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+const createBrowser = () => ({ storage: {}, records: new Map() });
+
+test('the existing localStorage save moves into slot 1', async () => {
+  const browser = createBrowser();
+  const first = await loadGame({ ...browser, records: null });
+
+  first.skidinc.player.username = 'veteran';
+  first.skidinc.save.saveNow(false, true);
+
+  const game = await loadGame(browser);
+  const slot = browser.records.get(1);
+
+  assert.strictEqual(game.skidinc.player.username, 'veteran');
+  assert.strictEqual(game.skidinc.slots.active, 1);
+  assert.strictEqual(browser.storage['SKINC-slot'], '1');
+  assert.strictEqual(slot.name, 'main');
+  assert.strictEqual(slot.data, browser.storage.SKINC);
+});
+
+test('saves update the active slot stats', async () => {
+  const browser = createBrowser();
+  const game = await loadGame(browser);
+
+  game.skidinc.player.earn('money', 5000);
+  game.skidinc.save.saveNow();
+  await settle();
+
+  const slot = browser.records.get(1);
+
+  assert.strictEqual(slot.stats.money, 5000);
+  assert.strictEqual(slot.stats.level, game.skidinc.player.level);
+  assert.strictEqual(slot.data, browser.storage.SKINC);
+});
+
+test('new slots start a fresh game and keep the previous one', async () => {
+  const browser = createBrowser();
+  let game = await loadGame(browser);
+
+  game.skidinc.player.username = 'main-run';
+  game.execute('save slot new test run');
+  await settle();
+
+  assert.strictEqual(game.reloads, 1);
+  assert.strictEqual(browser.storage.SKINC, undefined);
+
+  game = await loadGame(browser);
+
+  assert.strictEqual(game.skidinc.slots.active, 2);
+  assert.strictEqual(game.skidinc.player.username, 'kiddie');
+  assert.strictEqual(browser.records.get(2).name, 'test run');
+
+  game.execute('save slot switch main');
+  await settle();
+  game = await loadGame(browser);
+
+  assert.strictEqual(game.skidinc.slots.active, 1);
+  assert.strictEqual(game.skidinc.player.username, 'main-run');
+});
+
+test('slot commands validate their target', async () => {
+  const browser = createBrowser();
+  const game = await loadGame(browser);
+
+  game.execute('save slot switch 1');
+  game.execute('save slot delete main');
+  game.execute('save slot switch nope');
+  game.execute('save slot new 42');
+  game.execute('save slot rename');
+
+  const logs = game.flushLogs();
+
+  assert.match(logs[0], /already the active slot/);
+  assert.match(logs[1], /can't delete the active slot/);
+  assert.match(logs[2], /is not a save slot/);
+  assert.match(logs[3], /can't be a number/);
+  assert.match(logs[4], /is not a slot action/);
+});
+
+test('deleted slots are removed from IndexedDB', async () => {
+  const browser = createBrowser();
+  let game = await loadGame(browser);
+
+  game.execute('save slot new spare');
+  await settle();
+  game = await loadGame(browser);
+  game.execute('save slot switch 1');
+  await settle();
+  game = await loadGame(browser);
+
+  game.execute('save slot delete spare');
+  await settle();
+
+  assert.strictEqual(browser.records.has(2), false);
+  assert.match(game.flushLogs()[0], /slot <b>spare<\/b> deleted/);
+});
+
+test('slots are disabled without IndexedDB', async () => {
+  const game = await loadGame({ ...createBrowser(), records: null });
+
+  game.execute('save slot list');
+
+  assert.match(game.flushLogs()[0], /need IndexedDB/);
+});
+
+test('slot names can\'t inject markup in the console', async () => {
+  const browser = createBrowser();
+  let game = await loadGame(browser);
+
+  game.skidinc.slots.create('<img src=x>');
+  assert.match(game.flushLogs()[0], /can only contain letters/);
+  assert.strictEqual(browser.records.size, 1);
+
+  // records written before names were checked
+  browser.records.set(2, { ...browser.records.get(1), id: 2, name: '<img src=x>' });
+  game = await loadGame(browser);
+  game.execute('save slot list');
+
+  const [list] = game.flushLogs();
+
+  assert.ok(list.includes('&lt;img src=x&gt;'));
+  assert.ok(!list.includes('<img'));
+});